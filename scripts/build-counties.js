@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const mapshaper = require('mapshaper');
+
+// Builds src/geography/counties.json from the Census Bureau's 2010 TIGER/Line
+// county file as packaged by us-counties (tl_2010_us_county10 as GeoJSON).
+// Geometry is simplified to 1% of vertices and rounded to 0.001 degrees so the
+// bundled file stays around 2 MB. Run it with `npm run build:counties`, which
+// gives Node the larger heap the ~170 MB input needs.
+
+const INPUT = require.resolve('us-counties/county.geo.json');
+const OUTPUT = path.join(__dirname, '..', 'src', 'geography', 'counties.json');
+const SQ_METERS_PER_SQ_MI = 2589988.110336;
+
+async function simplify(file) {
+  const input = { 'counties.json': fs.readFileSync(file, 'utf-8') };
+  const output = await mapshaper.applyCommands(
+    '-i counties.json -filter-fields GEOID10,NAME10,ALAND10,state -simplify 1% keep-shapes -o out.json format=geojson precision=0.001',
+    input,
+  );
+  return JSON.parse(output['out.json']);
+}
+
+async function main() {
+  const { features } = await simplify(INPUT);
+  const counties = {};
+  for (const { properties: p, geometry } of features.sort((a, b) => a.properties.GEOID10.localeCompare(b.properties.GEOID10))) {
+    counties[p.GEOID10] = {
+      name: p.NAME10,
+      state: p.state,
+      area_sq_mi: Math.round(p.ALAND10 / SQ_METERS_PER_SQ_MI * 100) / 100,
+      geometry: geometry ?? null,
+    };
+  }
+
+  const metadata = {
+    description: 'County reference keyed by 5-digit FIPS: name, state abbreviation, land area (sq mi) and an optional GeoJSON Polygon/MultiPolygon geometry',
+    source: 'U.S. Census Bureau, 2010 TIGER/Line Shapefiles, counties (tl_2010_us_county10): NAME10, ALAND10 (converted to sq mi) and geometry, simplified to 1% of vertices with mapshaper (keep-shapes) and rounded to 0.001 degrees. Built by scripts/build-counties.js',
+    vintage: '2010',
+  };
+  // One county per line keeps diffs of the bundled file readable
+  const lines = Object.entries(counties).map(([fips, county]) => `    ${JSON.stringify(fips)}: ${JSON.stringify(county)}`);
+  const body = `{\n  "metadata": ${JSON.stringify(metadata, null, 2).replace(/\n/g, '\n  ')},\n  "counties": {\n${lines.join(',\n')}\n  }\n}\n`;
+  fs.writeFileSync(OUTPUT, body);
+  console.log(`Wrote ${lines.length} counties to ${OUTPUT}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,38 +1,120 @@
 const path = require('path');
 
 const ROOT = path.resolve(__dirname, '..');
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
 
 module.exports = {
+  http: {
+    userAgent: 'opo-scraper/1.0',
+    retries: 3,
+    retryBaseDelay: 1000,
+    cacheTtl: 6 * HOUR,
+    hostDefaults: { concurrency: 2, minInterval: 0 },
+    hosts: {
+      'projects.propublica.org': { concurrency: 1, minInterval: 500 },
+    },
+  },
   sources: {
     opodata: {
       base: 'https://www.opodata.org',
       indexPageData: 'https://www.opodata.org/page-data/index/page-data.json',
-      userAgent: 'opo-scraper/1.0',
       timeout: 30000,
     },
     propublica: {
       base: 'https://projects.propublica.org/nonprofits/api/v2',
       searchBase: 'https://projects.propublica.org/nonprofits/api/v2/search.json',
-      delay: 500,
+      // Organization pages link each e-filed return's XML (Part VII, Schedule J)
+      orgPageBase: 'https://projects.propublica.org/nonprofits/organizations',
+      executives: true,
+      // EIN search: candidates are scored 0-1 and only auto-accepted at autoAccept
+      einResolution: {
+        autoAccept: 0.8,
+        maxCandidates: 5,
+        weights: { name: 0.6, state: 0.2, ntee: 0.1, city: 0.1 },
+        // NTEE major groups E (health care) and G (diseases, disorders, medical disciplines)
+        nteePrefixes: ['E', 'G'],
+      },
       timeout: 30000,
+      // Form 990 data changes a few times a year. Searches, filing lists,
+      // organization pages and returns are served from the HTTP cache this
+      // long, so a rerun makes no throttled calls; --no-cache refreshes them.
+      cacheTtl: 30 * DAY,
     },
     hrsa: {
       url: 'https://data.hrsa.gov/data/download/optn/OPTN-OPO.xlsx',
       timeout: 60000,
+      cacheTtl: 24 * HOUR,
     },
     srtr: {
       base: 'https://www.srtr.org',
       opoReportUrl: (code) => `https://www.srtr.org/opo-reports/${code.toLowerCase()}/`,
+      listingUrl: 'https://www.srtr.org/reports/opo-specific-reports/',
+      lookbackMonths: 24,
+      // Optional JSON array of extra table catalog entries (see src/utils/srtr-catalog.js)
+      catalogFile: null,
       timeout: 60000,
+      cacheTtl: 24 * HOUR,
     },
     cmsQcor: {
       base: 'https://qcor.cms.gov',
+      listingUrl: 'https://qcor.cms.gov/opo.jsp',
+      releaseMonths: [1, 7],
+      lookbackMonths: 36,
       timeout: 60000,
+      cacheTtl: 24 * HOUR,
     },
   },
+  // Which source wins each merged field (rule formats in src/utils/precedence.js).
+  // Fields not listed keep the order written in src/utils/normalize.js.
+  precedence: {
+    'location.city': ['hrsa', 'opodata'],
+    'cms_status.tier': ['cms-qcor', 'opodata'],
+    'metrics.conversion_rate': ['srtr', 'opodata'],
+    'metrics.donation_rate': ['srtr', 'opodata'],
+    'metrics.transplantation_rate': ['srtr', 'opodata'],
+    'metrics.discard_rates.*': ['srtr', 'opodata'],
+    'financials.*': ['propublica', 'opodata'],
+    'relationships.transplant_centers': ['hrsa', 'opodata'],
+  },
+  quality: {
+    // ProPublica org name vs OPO name; below warning is flagged, below error is an error
+    nameSimilarity: { warning: 0.5, error: 0.25 },
+    // SRTR Table C2 donors cover a multi-year cohort
+    srtrCohortYears: 3,
+    // Allowed relative gap between opodata donors_recovered and SRTR's annual average
+    donorCountTolerance: 0.5,
+  },
+  // --rollup-lineage: year-keyed series carried from predecessors onto the surviving OPO
+  lineage: {
+    rollupFields: ['cms_status.tier_history', 'cms_status.donation_rate_categories', 'cms_status.transplant_rate_categories'],
+  },
+  // Scrapers with no dependency between them run side by side, at most this many at once
+  runner: {
+    concurrency: 3,
+    // Steps whose failure makes the run exit 1 (normalization always does)
+    required: ['opodata'],
+  },
+  server: {
+    port: 3000,
+  },
   paths: {
     root: ROOT,
     rawData: path.join(ROOT, 'data', 'raw'),
     normalizedData: path.join(ROOT, 'data', 'normalized'),
+    history: path.join(ROOT, 'data', 'history'),
+    exports: path.join(ROOT, 'data', 'exports'),
+    // Upstream fingerprints from the last successful run of each step
+    fingerprints: path.join(ROOT, 'data', 'fingerprints.json'),
+    // Per-step status, timings and counts from the last run
+    runReport: path.join(ROOT, 'data', 'run-report.json'),
+    // Hand-reviewed EIN decisions written by --resolve-eins
+    einOverrides: path.join(ROOT, 'data', 'ein-overrides.json'),
+    fixtures: path.join(ROOT, 'fixtures', 'http'),
+    httpCache: path.join(ROOT, '.cache', 'http'),
+    // Static county reference and DSA-to-county crosswalk
+    geography: path.join(ROOT, 'src', 'geography'),
+    // OPO identity crosswalk: provider numbers, OPTN codes, EINs, lineage
+    registry: path.join(ROOT, 'src', 'registry', 'crosswalk.json'),
   },
 };
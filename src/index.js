@@ -1,4 +1,7 @@
+const config = require('./config');
 const logger = require('./utils/logger');
+const runReport = require('./utils/run-report');
+const runner = require('./utils/runner');
 
 const SCRAPERS = {
   opodata: () => require('./scrapers/opodata'),
@@ -13,6 +16,24 @@ function parseArgs(argv) {
     sources: [],
     skip: [],
     normalizeOnly: false,
+    provenance: 'sidecar',
+    allocateFinancials: null,
+    rollupLineage: false,
+    snapshot: true,
+    strict: false,
+    force: false,
+    concurrency: config.runner.concurrency,
+    required: config.runner.required,
+    logFormat: null,
+    diff: null,
+    httpMode: 'live',
+    fixturesDir: null,
+    cache: true,
+    exports: [],
+    serve: false,
+    resolveEins: false,
+    validateRegistry: false,
+    port: null,
   };
 
   for (const arg of argv.slice(2)) {
@@ -20,12 +41,52 @@ function parseArgs(argv) {
       args.normalizeOnly = true;
     } else if (arg.startsWith('--source=')) {
       args.sources.push(arg.split('=')[1]);
+    } else if (arg === '--record') {
+      args.httpMode = 'record';
+    } else if (arg === '--replay') {
+      args.httpMode = 'replay';
+    } else if (arg === '--no-cache') {
+      args.cache = false;
+    } else if (arg.startsWith('--fixtures=')) {
+      args.fixturesDir = arg.split('=')[1];
+    } else if (arg === '--strict') {
+      args.strict = true;
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg.startsWith('--require=')) {
+      args.required = arg.split('=')[1].split(',').filter(Boolean);
+    } else if (arg.startsWith('--log-format=')) {
+      args.logFormat = arg.split('=')[1];
+    } else if (arg.startsWith('--concurrency=')) {
+      args.concurrency = Math.max(1, Number(arg.split('=')[1]) || 1);
+    } else if (arg === '--no-snapshot') {
+      args.snapshot = false;
+    } else if (arg === '--diff') {
+      args.diff = [];
+    } else if (arg.startsWith('--diff=')) {
+      args.diff = arg.split('=')[1].split(',').filter(Boolean);
+    } else if (arg.startsWith('--allocate-financials=')) {
+      args.allocateFinancials = arg.split('=')[1];
+    } else if (arg === '--rollup-lineage') {
+      args.rollupLineage = true;
+    } else if (arg === '--resolve-eins') {
+      args.resolveEins = true;
+    } else if (arg === '--validate-registry') {
+      args.validateRegistry = true;
+    } else if (arg === '--serve') {
+      args.serve = true;
+    } else if (arg.startsWith('--port=')) {
+      args.port = Number(arg.split('=')[1]);
+    } else if (arg.startsWith('--export=')) {
+      args.exports = arg.split('=')[1].split(',').filter(Boolean);
+    } else if (arg.startsWith('--provenance=')) {
+      args.provenance = arg.split('=')[1];
     } else if (arg.startsWith('--skip-')) {
       args.skip.push(arg.replace('--skip-', ''));
     }
   }
 
-  if (args.sources.length === 0 && !args.normalizeOnly) {
+  if (args.sources.length === 0 && !args.normalizeOnly && !args.diff && !args.serve && !args.resolveEins && !args.validateRegistry) {
     // Default: run opodata, propublica, hrsa (non-stretch sources)
     args.sources = ['opodata', 'propublica', 'hrsa'];
   }
@@ -33,42 +94,117 @@ function parseArgs(argv) {
   return args;
 }
 
+// Scrapers (as a dependency graph), normalization and exports, each tracked
+// as a step of the run report
+async function runPipeline(args, report) {
+  if (!args.normalizeOnly) {
+    const known = Object.keys(SCRAPERS);
+    for (const source of args.sources.filter(s => !known.includes(s))) {
+      logger.error('main', `Unknown source: ${source}`);
+    }
+    const requested = args.sources.filter(s => known.includes(s));
+    const dependsOn = source => SCRAPERS[source]().DEPENDS_ON || [];
+    const { order, added } = runner.plan(requested, dependsOn, { known, skip: args.skip });
+    if (added.length) logger.info('main', `Adding required upstream sources: ${added.join(', ')}`);
+    logger.info('main', `Sources: ${order.join(', ')} (concurrency ${args.concurrency})`);
+
+    const results = await runner.runGraph(order, dependsOn, source => report.track(source, 'scraper', async () => {
+      logger.info('main', `--- Running ${source} scraper ---`);
+      const output = await SCRAPERS[source]().scrape({ strict: args.strict, incremental: !args.force });
+      logger.info('main', `--- ${source} ${output ? 'complete' : 'unchanged'} ---`);
+      return output;
+    }), { concurrency: args.concurrency });
+
+    for (const [source, result] of Object.entries(results)) {
+      if (result.status === 'failed') logger.error('main', `${source} scraper failed`, result.error);
+      if (result.status === 'skipped') report.skip(source, 'scraper', `${result.blocked_by} did not complete`);
+    }
+  }
+
+  try {
+    await report.track('normalize', 'normalize', async () => {
+      logger.info('main', '--- Running normalization ---');
+      const normalize = require('./utils/normalize');
+      const output = await normalize.run({
+        provenance: args.provenance,
+        strict: args.strict,
+        allocateFinancials: args.allocateFinancials,
+        rollupLineage: args.rollupLineage,
+        incremental: !args.force,
+      });
+      logger.info('main', `--- Normalization ${output ? 'complete' : 'skipped, no input changed'} ---`);
+
+      // An unchanged dataset doesn't need another snapshot
+      if (args.snapshot && output) {
+        require('./utils/history').createSnapshot();
+      }
+      return output;
+    });
+  } catch (err) {
+    logger.error('main', 'Normalization failed', err);
+  }
+
+  if (args.exports.length) {
+    try {
+      await report.track('export', 'export', () => {
+        logger.info('main', `--- Exporting ${args.exports.join(', ')} ---`);
+        return require('./utils/export').run(args.exports);
+      }, { rows: files => ({ files: files.length }) });
+    } catch (err) {
+      logger.error('main', 'Export failed', err);
+    }
+  }
+}
+
 async function main() {
   const args = parseArgs(process.argv);
   const startTime = Date.now();
 
+  logger.configure({ format: args.logFormat });
   logger.info('main', `OPO Scraper starting`);
+  require('./utils/http').configure({ mode: args.httpMode, fixturesDir: args.fixturesDir, cache: args.cache });
 
-  if (!args.normalizeOnly) {
-    const sourcesToRun = args.sources.filter(s => !args.skip.includes(s));
-    logger.info('main', `Sources: ${sourcesToRun.join(', ')}`);
-
-    for (const source of sourcesToRun) {
-      const loader = SCRAPERS[source];
-      if (!loader) {
-        logger.error('main', `Unknown source: ${source}`);
-        continue;
-      }
+  // Serve data/normalized until stopped; reloads after each normalization run
+  if (args.serve) {
+    require('./utils/server').serve(args.port || undefined);
+    return;
+  }
 
-      try {
-        logger.info('main', `--- Running ${source} scraper ---`);
-        const scraper = loader();
-        await scraper.scrape();
-        logger.info('main', `--- ${source} complete ---`);
-      } catch (err) {
-        logger.error('main', `${source} scraper failed`, err);
-      }
-    }
+  if (args.resolveEins) {
+    await require('./utils/ein-resolver').resolveEins();
+    return;
+  }
+
+  if (args.validateRegistry) {
+    const report = require('./utils/registry').validateRaw();
+    if (report.summary.total > 0) process.exitCode = 1;
+    return;
   }
 
-  // Run normalization
+  if (args.diff) {
+    const history = require('./utils/history');
+    history.writeDiff(args.diff[0], args.diff[1]);
+    return;
+  }
+
+  const report = runReport.createReport({
+    options: {
+      sources: args.sources,
+      skip: args.skip,
+      normalize_only: args.normalizeOnly,
+      exports: args.exports,
+      strict: args.strict,
+      force: args.force,
+      concurrency: args.concurrency,
+      http_mode: args.httpMode,
+    },
+    required: [...args.required, 'normalize', 'export'],
+    strict: args.strict,
+  });
   try {
-    logger.info('main', '--- Running normalization ---');
-    const normalize = require('./utils/normalize');
-    await normalize.run();
-    logger.info('main', '--- Normalization complete ---');
-  } catch (err) {
-    logger.error('main', 'Normalization failed', err);
+    await runPipeline(args, report);
+  } finally {
+    process.exitCode = Math.max(process.exitCode || 0, report.write().exit_code);
   }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
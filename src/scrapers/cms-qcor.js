@@ -1,37 +1,81 @@
-const axios = require('axios');
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const http = require('../utils/http');
+const { checkOutput } = require('../utils/validate');
+const { fromListing, recentMonths, pickRelease } = require('../utils/releases');
+const { resolveCodes } = require('../utils/registry');
+const fingerprint = require('../utils/fingerprint');
 
 const SOURCE = 'cms-qcor';
+const DEPENDS_ON = [];
 
-const EXCEL_URLS = [
-  'https://qcor.cms.gov/documents/Public%202024%20%26%202025%20OPO%20Report%20-%20July%202025.xlsx',
-  'https://qcor.cms.gov/documents/Public%202024%20%26%202025%20OPO%20Report%20-%20January%202025.xlsx',
-  'https://qcor.cms.gov/documents/Public%202023%20%26%202024%20OPO%20Report%20-%20July%202024.xlsx',
-];
+// Reports are published as e.g. "Public 2024 & 2025 OPO Report - July 2025.xlsx"
+// under https://qcor.cms.gov/documents/. Releases are discovered from the
+// listing page; if that yields nothing, or none of the listed files
+// downloads, the expected file name for each release month in the lookback
+// window is tried, newest first.
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const FILE_PATTERN = /Public (\d{4}) & (\d{4}) OPO Report - ([A-Za-z]+) (\d{4})\.xlsx$/i;
 
 const TIMEOUT = config.sources.cmsQcor.timeout;
-const YEARS = [2019, 2020, 2021, 2022, 2023];
+
+// Assessment sheet columns, located by the group label above them (e.g.
+// "Donation Rate") and their own label (e.g. "Upper CI"). `not` excludes
+// neighbouring columns whose labels overlap.
+const ASSESSMENT_COLUMNS = [
+  { field: 'donation_rate', group: /donation/i, label: /rate/i, not: /upper|\bci\b|categ|gap|median|top|expected|observed|adjusted/i },
+  { field: 'donation_rate_upper_ci', group: /donation/i, label: /upper|\bci\b/i, not: /gap/i },
+  { field: 'donation_rate_category', group: /donation/i, label: /categ/i },
+  { field: 'expected_transplant_rate', group: /transplant/i, label: /expected/i },
+  { field: 'observed_transplant_rate', group: /transplant/i, label: /observed/i },
+  { field: 'age_adjusted_transplant_rate', group: /transplant/i, label: /age.?adjusted/i },
+  { field: 'transplant_rate_upper_ci', group: /transplant/i, label: /upper|\bci\b/i, not: /gap/i },
+  { field: 'transplant_rate_category', group: /transplant/i, label: /categ/i },
+];
+const CATEGORY_FIELDS = new Set(['donation_rate_category', 'transplant_rate_category']);
+
+function reportCandidate(year, month, discovery, url) {
+  const mm = String(month).padStart(2, '0');
+  const fileName = `Public ${year - 1} & ${year} OPO Report - ${MONTHS[month - 1]} ${year}.xlsx`;
+  return {
+    id: `${year}-${mm}`,
+    sortKey: `${year}${mm}`,
+    url: url || `${config.sources.cmsQcor.base}/documents/${encodeURIComponent(fileName)}`,
+    discovery,
+  };
+}
+
+function enumerateReports(now = new Date(), months = config.sources.cmsQcor.lookbackMonths) {
+  return recentMonths(now, months)
+    .filter(({ month }) => config.sources.cmsQcor.releaseMonths.includes(month))
+    .map(({ year, month }) => reportCandidate(year, month, 'enumerated'));
+}
+
+async function discoverReports(now = new Date()) {
+  const listed = await fromListing(SOURCE, config.sources.cmsQcor.listingUrl, href => {
+    const match = decodeURIComponent(href).match(FILE_PATTERN);
+    const month = match ? MONTHS.findIndex(m => m.toLowerCase() === match[3].toLowerCase()) + 1 : 0;
+    return month ? reportCandidate(parseInt(match[4], 10), month, 'listing', href) : null;
+  }, { timeout: TIMEOUT });
+  return listed.length ? listed : enumerateReports(now);
+}
 
 async function downloadExcel() {
-  for (const url of EXCEL_URLS) {
-    try {
-      logger.info(SOURCE, `Trying ${url}...`);
-      const response = await axios.get(url, {
-        responseType: 'arraybuffer',
-        timeout: TIMEOUT,
-        headers: { 'User-Agent': 'opo-scraper/1.0' },
-      });
-      logger.info(SOURCE, `Downloaded ${(response.data.byteLength / 1024).toFixed(0)} KB`);
-      return response.data;
-    } catch (err) {
-      logger.warn(SOURCE, `Not available: ${err.message}`);
-    }
-  }
-  throw new Error('Could not download any CMS QCOR Excel file');
+  const candidates = await discoverReports();
+  const { data, release } = await pickRelease(SOURCE, candidates, async url => {
+    const response = await http.get(url, {
+      responseType: 'arraybuffer',
+      timeout: TIMEOUT,
+      cacheTtl: config.sources.cmsQcor.cacheTtl,
+    });
+    return response.data;
+  }, enumerateReports());
+  logger.info(SOURCE, `Downloaded ${(data.byteLength / 1024).toFixed(0)} KB (release ${release.chosen})`);
+  return { data, release };
 }
 
 function toNum(val) {
@@ -40,137 +84,173 @@ function toNum(val) {
   return isNaN(n) ? null : n;
 }
 
-function parseSummarySheet(workbook) {
-  const sheetName = workbook.SheetNames.find(n => /summary/i.test(n));
-  if (!sheetName) {
-    logger.warn(SOURCE, 'No Summary sheet found');
-    return [];
-  }
+function cellText(val) {
+  return val === null || val === undefined ? '' : String(val).replace(/\s+/g, ' ').trim();
+}
 
-  const sheet = workbook.Sheets[sheetName];
-  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null });
+function isOpoCode(val) {
+  return typeof val === 'string' && /^[A-Z]{4}$/.test(val.trim());
+}
 
-  // Summary structure (multi-row header):
-  // Row 7: [OPO Name, OPO Code, "Tier1", null, null, null, null, "Donation Rate...", ...]
-  // Row 9: [null, null, 2019, 2020, 2021, 2022, 2023, 2019, 2020, 2021, 2022, 2023, 2019, ...]
-  // Row 12+: Data rows
+function toCategory(val) {
+  const text = cellText(val);
+  return text && text !== 'N/A' && text !== '-' ? text : null;
+}
 
-  // Find the row containing "OPO Code"
-  let mainHeaderRow = -1;
-  for (let i = 0; i < 20; i++) {
-    if (rows[i]?.some(c => c && typeof c === 'string' && /opo.*code/i.test(c))) {
-      mainHeaderRow = i;
-      break;
-    }
+// Locate a sheet's header block: the row with "OPO Code", the label rows
+// below it down to the first data row, and for every column its group label
+// (carried right across merged cells), its own label, and its year if the
+// label is a year subheader. Throws when there is no "OPO Code" header.
+function readHeader(rows, sheetName) {
+  const headerRow = rows.slice(0, 80).findIndex(row => row?.some(c => /opo.*code/i.test(cellText(c))));
+  if (headerRow === -1) {
+    throw new Error(`${sheetName}: no "OPO Code" header row found`);
   }
-  if (mainHeaderRow === -1) return [];
-
-  // Find the year subheader row (contains 2019, 2020, etc.)
-  let yearRow = -1;
-  for (let i = mainHeaderRow + 1; i < mainHeaderRow + 5; i++) {
-    if (rows[i]?.some(c => c === 2019 || c === 2020 || c === '2019' || c === '2020')) {
-      yearRow = i;
-      break;
-    }
+  const header = rows[headerRow];
+  const codeIdx = header.findIndex(c => /opo.*code/i.test(cellText(c)));
+  const nameIdx = header.findIndex((c, i) => i !== codeIdx && /organ.*procurement|opo/i.test(cellText(c)));
+
+  let dataStart = headerRow + 1;
+  while (dataStart < rows.length && !isOpoCode(rows[dataStart]?.[codeIdx])) dataStart++;
+  const labelRows = rows.slice(headerRow + 1, dataStart);
+  const width = Math.max(...rows.slice(headerRow, dataStart).map(row => row?.length || 0));
+
+  const columns = [];
+  let group = '';
+  for (let c = 0; c < width; c++) {
+    const top = cellText(header[c]);
+    if (top) group = top;
+    const sub = labelRows.map(row => cellText(row?.[c])).filter(Boolean).join(' ');
+    columns.push({
+      index: c,
+      group,
+      label: sub || top,
+      year: /^(19|20)\d{2}$/.test(sub) ? parseInt(sub, 10) : null,
+    });
   }
 
-  const mainHeaders = rows[mainHeaderRow] || [];
-  const codeIdx = mainHeaders.findIndex(h => h && typeof h === 'string' && /opo.*code/i.test(h));
-  const nameIdx = mainHeaders.findIndex(h => h && typeof h === 'string' && /organ.*procurement|opo/i.test(h));
-
-  // Determine column layout: after OPO Code, we have 5 tier cols, 5 donation rate cols, 5 transplant rate cols
-  // Tier columns start at codeIdx + 1
-  const tierStartCol = codeIdx + 1;
-  const donRateStartCol = tierStartCol + 5;
-  const txpRateStartCol = donRateStartCol + 5;
-
-  const opos = [];
-
-  // Data rows start after the year subheader (skip empty rows)
-  const dataStart = yearRow !== -1 ? yearRow + 1 : mainHeaderRow + 1;
-
-  for (let i = dataStart; i < rows.length; i++) {
-    const row = rows[i];
-    if (!row) continue;
-    const code = row[codeIdx];
-    if (!code || typeof code !== 'string' || !/^[A-Z]{4}$/.test(code.trim())) continue;
-
-    const tierHistory = {};
-    const donRateCats = {};
-    const txpRateCats = {};
+  return { dataStart, codeIdx, nameIdx, columns };
+}
 
-    for (let y = 0; y < YEARS.length; y++) {
-      tierHistory[YEARS[y]] = toNum(row[tierStartCol + y]);
-      donRateCats[YEARS[y]] = row[donRateStartCol + y] ? String(row[donRateStartCol + y]).trim() : null;
-      txpRateCats[YEARS[y]] = row[txpRateStartCol + y] ? String(row[txpRateStartCol + y]).trim() : null;
+// { year: column index } for the year subheaders under a group label
+function yearColumns(columns, groupPattern) {
+  const out = {};
+  for (const col of columns) {
+    if (col.year !== null && groupPattern.test(col.group) && out[col.year] === undefined) {
+      out[col.year] = col.index;
     }
-
-    opos.push({
-      dsa_code: code.trim(),
-      name: row[nameIdx] ? String(row[nameIdx]).trim() : null,
-      tier_history: tierHistory,
-      latest_tier: tierHistory[2023] ?? tierHistory[2022] ?? null,
-      donation_rate_categories: donRateCats,
-      transplant_rate_categories: txpRateCats,
-    });
   }
+  return out;
+}
 
-  return opos;
+function dataRows(rows, { dataStart, codeIdx }) {
+  return rows.slice(dataStart).filter(row => row && isOpoCode(row[codeIdx]));
 }
 
-function parseAssessmentSheet(workbook) {
-  // Find the most recent assessment sheet
-  const assessmentSheets = workbook.SheetNames
-    .filter(n => /\d{4}\s*assessment/i.test(n))
-    .sort()
-    .reverse();
+function latestValue(byYear) {
+  const years = Object.keys(byYear).filter(y => byYear[y] !== null).sort();
+  return years.length ? byYear[years[years.length - 1]] : null;
+}
 
-  if (assessmentSheets.length === 0) return {};
+function readSheet(workbook, sheetName) {
+  return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: null });
+}
 
-  const sheetName = assessmentSheets[0];
-  logger.info(SOURCE, `Parsing latest assessment: ${sheetName}`);
+// Summary sheet: a "Tier", "Donation Rate" and "Transplant Rate" group, each
+// with one column per year under a year subheader. Any number of years is
+// supported; a missing group fails the parse rather than guessing offsets.
+function parseSummarySheet(workbook) {
+  const sheetName = workbook.SheetNames.find(n => /summary/i.test(n));
+  if (!sheetName) {
+    throw new Error(`No Summary sheet found (sheets: ${workbook.SheetNames.join(', ')})`);
+  }
 
-  const sheet = workbook.Sheets[sheetName];
-  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null });
+  const rows = readSheet(workbook, sheetName);
+  const header = readHeader(rows, sheetName);
+  const groups = {
+    tier: yearColumns(header.columns, /^tier/i),
+    donation: yearColumns(header.columns, /donation/i),
+    transplant: yearColumns(header.columns, /transplant/i),
+  };
+  const missing = Object.keys(groups).filter(g => Object.keys(groups[g]).length === 0);
+  if (missing.length) {
+    throw new Error(`${sheetName}: no year columns found under ${missing.join(', ')} header(s)`);
+  }
+  logger.info(SOURCE, `${sheetName}: tier years ${Object.keys(groups.tier).join(', ')}`);
 
-  // The 2025 Assessment data rows have the structure (starting ~row 47):
-  // [OPO Name, OPO Code, Donation Rate, Upper CI, median gap, top25 gap, Rate Cat,
-  //  Expected Txp Rate, Observed Txp Rate, Age-Adjusted, Upper CI, median gap, top25 gap, Rate Cat,
-  //  Tier 2019, 2020, 2021, 2022, 2023]
+  return dataRows(rows, header).map(row => {
+    const pick = (cols, fn) => Object.fromEntries(Object.entries(cols).map(([year, idx]) => [year, fn(row[idx])]));
+    const tierHistory = pick(groups.tier, toNum);
+    return {
+      dsa_code: row[header.codeIdx].trim(),
+      name: header.nameIdx !== -1 && row[header.nameIdx] ? String(row[header.nameIdx]).trim() : null,
+      tier_history: tierHistory,
+      latest_tier: latestValue(tierHistory),
+      donation_rate_categories: pick(groups.donation, toCategory),
+      transplant_rate_categories: pick(groups.transplant, toCategory),
+    };
+  });
+}
 
-  // Find data rows by looking for 4-letter OPO codes in column 1
-  const assessments = {};
+function findColumn(columns, spec) {
+  return columns.find(col => spec.group.test(col.group) && spec.label.test(col.label) && !(spec.not && spec.not.test(col.label)));
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    if (!row) continue;
-    const code = row[1];
-    if (!code || typeof code !== 'string' || !/^[A-Z]{4}$/.test(code.trim())) continue;
-
-    assessments[code.trim()] = {
-      donation_rate: toNum(row[2]),
-      donation_rate_upper_ci: toNum(row[3]),
-      donation_rate_category: row[6] ? String(row[6]).trim() : null,
-      expected_transplant_rate: toNum(row[7]),
-      observed_transplant_rate: toNum(row[8]),
-      age_adjusted_transplant_rate: toNum(row[9]),
-      transplant_rate_upper_ci: toNum(row[10]),
-      transplant_rate_category: row[13] ? String(row[13]).trim() : null,
-      tier_2019: toNum(row[14]),
-      tier_2020: toNum(row[15]),
-      tier_2021: toNum(row[16]),
-      tier_2022: toNum(row[17]),
-      tier_2023: toNum(row[18]),
-    };
+// One "YYYY Assessment" sheet: { dsa_code: assessment }. Throws if any of
+// the expected columns can't be located.
+function parseAssessment(workbook, sheetName) {
+  const rows = readSheet(workbook, sheetName);
+  const header = readHeader(rows, sheetName);
+
+  const located = {};
+  const missing = [];
+  for (const spec of ASSESSMENT_COLUMNS) {
+    const col = findColumn(header.columns, spec);
+    if (col) located[spec.field] = col.index;
+    else missing.push(spec.field);
+  }
+  if (missing.length) {
+    throw new Error(`${sheetName}: could not locate column(s) ${missing.join(', ')}`);
   }
+  const tierCols = yearColumns(header.columns, /^tier/i);
 
+  const assessments = {};
+  for (const row of dataRows(rows, header)) {
+    const entry = {};
+    for (const [field, idx] of Object.entries(located)) {
+      entry[field] = CATEGORY_FIELDS.has(field) ? toCategory(row[idx]) : toNum(row[idx]);
+    }
+    entry.tier_history = Object.fromEntries(Object.entries(tierCols).map(([year, idx]) => [year, toNum(row[idx])]));
+    assessments[row[header.codeIdx].trim()] = entry;
+  }
   return assessments;
 }
 
-async function scrape() {
+// Every "YYYY Assessment" sheet, keyed by assessment year
+function parseAssessmentSheets(workbook) {
+  const byYear = {};
+  for (const sheetName of workbook.SheetNames) {
+    const match = sheetName.match(/(\d{4})\s*assessment/i);
+    if (!match) continue;
+    byYear[match[1]] = parseAssessment(workbook, sheetName);
+    logger.info(SOURCE, `${sheetName}: ${Object.keys(byYear[match[1]]).length} OPOs`);
+  }
+  return byYear;
+}
+
+async function scrape(options = {}) {
   logger.info(SOURCE, 'Downloading CMS QCOR OPO Performance Report...');
 
-  const data = await downloadExcel();
+  const { data, release } = await downloadExcel();
+
+  const outPath = path.join(config.paths.rawData, 'cms-qcor.json');
+  const upstream = {
+    release: release.chosen,
+    content_sha256: fingerprint.hash(Buffer.from(data)),
+    registry_sha256: fingerprint.hashFile(config.paths.registry),
+  };
+  if (fingerprint.unchanged(SOURCE, upstream, [outPath], options)) return null;
+
   const workbook = XLSX.read(data, { type: 'buffer' });
 
   logger.info(SOURCE, `Workbook sheets: ${workbook.SheetNames.join(', ')}`);
@@ -178,32 +258,43 @@ async function scrape() {
   const summaryOpos = parseSummarySheet(workbook);
   logger.info(SOURCE, `Summary: ${summaryOpos.length} OPOs`);
 
-  const assessments = parseAssessmentSheet(workbook);
-  logger.info(SOURCE, `Assessment: ${Object.keys(assessments).length} OPOs`);
+  const assessmentsByYear = parseAssessmentSheets(workbook);
+  const assessmentYears = Object.keys(assessmentsByYear).sort();
+  const latestYear = assessmentYears[assessmentYears.length - 1] ?? null;
 
   const opos = summaryOpos.map(opo => {
-    const assessment = assessments[opo.dsa_code] || {};
+    const assessments = {};
+    for (const year of assessmentYears) {
+      if (assessmentsByYear[year][opo.dsa_code]) assessments[year] = assessmentsByYear[year][opo.dsa_code];
+    }
     return {
       ...opo,
-      assessment,
+      assessment_year: assessments[latestYear] ? parseInt(latestYear, 10) : null,
+      assessment: assessments[latestYear] || {},
+      assessments,
     };
   });
+  resolveCodes(SOURCE, opos);
 
   const output = {
     metadata: {
       source: 'CMS QCOR OPO Performance Report',
+      release,
       fetched_at: new Date().toISOString(),
       total_opos: opos.length,
+      assessment_years: assessmentYears.map(Number),
     },
     opos,
   };
 
-  const outPath = path.join(config.paths.rawData, 'cms-qcor.json');
+  checkOutput(SOURCE, 'raw-cms-qcor', output, options);
+
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  fingerprint.record(SOURCE, upstream);
   logger.info(SOURCE, `Wrote ${opos.length} OPOs to ${outPath}`);
 
   return output;
 }
 
-module.exports = { scrape };
+module.exports = { scrape, DEPENDS_ON, enumerateReports, parseSummarySheet, parseAssessmentSheets };
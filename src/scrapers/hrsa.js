@@ -1,89 +1,48 @@
-const axios = require('axios');
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const http = require('../utils/http');
+const { checkOutput } = require('../utils/validate');
+const { toProgram, stateFromCode } = require('../utils/transplant-centers');
+const { dsaForProvider } = require('../utils/registry');
+const fingerprint = require('../utils/fingerprint');
 
 const SOURCE = 'hrsa';
+const DEPENDS_ON = [];
 const XLSX_URL = 'https://data.hrsa.gov/DataDownload/DD_Files/ORG_OTC_FCT_DET.xlsx';
 const TIMEOUT = config.sources.hrsa.timeout;
 
-// Mapping of OPO Provider Numbers to DSA codes.
-// Provider numbers are CMS-style (##P###), DSA codes are UNOS 4-letter codes.
-// Built from cross-referencing HRSA OPO names with opodata.org names.
-const PROVIDER_TO_DSA = {
-  '01P001': 'ALOB',  // Alabama Organ Center / Legacy of Hope
-  '03P001': 'AZOB',  // Donor Network of Arizona
-  '04P001': 'AROR',  // Arkansas Regional Organ Recovery Agency
-  '05P001': 'CASD',  // Lifesharing - A Donate Life Organization (San Diego)
-  '05P003': 'CAOP',  // OneLegacy
-  '05P004': 'CAGS',  // Sierra Donor Services
-  '05P005': 'CADN',  // Donor Network West
-  '06P001': 'CORS',  // Donor Alliance (Colorado)
-  // 07P001: LifeChoice Donor Services (CT) - no DSA mapping in opodata.org
-  '10P001': 'FLWC',  // LifeLink of Florida
-  '10P002': 'FLMP',  // Life Alliance Organ Recovery Agency
-  '10P003': 'FLFH',  // TransLife / OurLegacy (Central Florida)
-  '10P004': 'FLUF',  // LifeQuest Organ Recovery Services
-  '11P002': 'GALL',  // LifeLink of Georgia
-  '12P001': 'HIOP',  // Legacy of Life Hawaii
-  '14P001': 'ILIP',  // Gift of Hope Organ & Tissue Donor Network
-  '15P001': 'INOP',  // Indiana Donor Network
-  '16P001': 'IAOP',  // Iowa Donor Network
-  '17P001': 'MWOB',  // Midwest Transplant Network (Kansas)
-  '18P001': 'KYDA',  // Kentucky Organ Donor Affiliates
-  '19P001': 'LAOP',  // Louisiana Organ Procurement Agency
-  '21P001': 'MDPC',  // The Living Legacy Foundation of Maryland
-  '22P001': 'MAOB',  // New England Organ Bank / Donor Services
-  '23P001': 'MIOP',  // Gift of Life Michigan
-  '24P001': 'MNOP',  // LifeSource Upper Midwest
-  '25P001': 'MSOP',  // Mississippi Organ Recovery Agency
-  '26P002': 'MOMA',  // Mid-America Transplant Services
-  '28P001': 'NEOR',  // Nebraska Organ Recovery System / Live On Nebraska
-  '29P001': 'NVLV',  // Nevada Donor Network
-  '31P001': 'NJTO',  // New Jersey Sharing Network
-  '32P001': 'NMOP',  // New Mexico Donor Services
-  '33P001': 'NYWN',  // Upstate NY Transplant Services / ConnectLife
-  '33P003': 'NYRT',  // LiveOnNY
-  '33P004': 'NYAP',  // Center for Donation and Transplant
-  '33P005': 'NYFL',  // Finger Lakes Donor Recovery Network
-  '34P001': 'NCNC',  // Carolina Donor Services / HonorBridge
-  '34P003': 'NCCM',  // LifeShare of the Carolinas
-  '36P001': 'OHLC',  // Life Connection of Ohio
-  '36P002': 'OHLB',  // Lifebanc
-  '36P003': 'OHOV',  // LifeCenter Organ Donor Network
-  '36P005': 'OHLP',  // Lifeline of Ohio
-  '37P002': 'OKOP',  // LifeShare of Oklahoma
-  '38P001': 'ORUO',  // Pacific Northwest Transplant Bank
-  '39P001': 'PADV',  // Gift of Life Donor Program
-  '39P002': 'PATF',  // Center for Organ Recovery and Education (CORE)
-  '40P002': 'PRLL',  // LifeLink of Puerto Rico
-  '42P001': 'SCOP',  // We Are Sharing Hope SC
-  '44P001': 'TNDS',  // Tennessee Donor Services
-  '44P003': 'TNMS',  // Mid-South Transplant Foundation
-  '45P002': 'TXSB',  // Southwest Transplant Alliance
-  '45P003': 'TXGC',  // LifeGift Organ Donation Center
-  '45P004': 'TXSA',  // Texas Organ Sharing Alliance
-  '46P001': 'UTOP',  // Intermountain Donor Services / DonorConnect
-  '49P001': 'VATB',  // LifeNet Health
-  '49P003': 'DCTC',  // Washington Regional Transplant Community
-  '50P003': 'WALC',  // LifeCenter Northwest
-  '52P001': 'WIUW',  // UW Health Organ and Tissue Donation
-  '52P002': 'WIDN',  // Wisconsin Donor Network / Versiti
-};
-
-async function scrape() {
+// The directory's Address/City/State columns belong to the OPO and it has no
+// center location columns, so only the state is known, from the OTC code's
+// two-letter state prefix.
+function centerLocation(code) {
+  const codeState = stateFromCode(code);
+  return { address: null, city: null, state: codeState, zip: null, source: codeState ? 'otc_code' : null };
+}
+
+async function scrape(options = {}) {
   logger.info(SOURCE, `Downloading HRSA OPO directory from ${XLSX_URL}...`);
 
-  const response = await axios.get(XLSX_URL, {
+  const response = await http.get(XLSX_URL, {
     responseType: 'arraybuffer',
     timeout: TIMEOUT,
-    headers: { 'User-Agent': 'opo-scraper/1.0' },
+    cacheTtl: config.sources.hrsa.cacheTtl,
   });
 
   logger.info(SOURCE, `Downloaded ${(response.data.byteLength / 1024).toFixed(0)} KB`);
 
+  const outPath = path.join(config.paths.rawData, 'hrsa.json');
+  const upstream = {
+    etag: response.headers?.etag ?? null,
+    last_modified: response.headers?.['last-modified'] ?? null,
+    content_sha256: fingerprint.hash(Buffer.from(response.data)),
+    // Provider numbers map to DSAs through the registry
+    registry_sha256: fingerprint.hashFile(config.paths.registry),
+  };
+  if (fingerprint.unchanged(SOURCE, upstream, [outPath], options)) return null;
+
   const workbook = XLSX.read(response.data, { type: 'buffer' });
   const sheetName = workbook.SheetNames[0];
   const sheet = workbook.Sheets[sheetName];
@@ -91,8 +50,10 @@ async function scrape() {
 
   logger.info(SOURCE, `Parsed ${rows.length} rows from sheet "${sheetName}"`);
 
-  // Group rows by OPO Provider Number
+  // Group rows by OPO Provider Number; transplant centers by OTC Code
   const opoGroups = {};
+  const centers = {};
+  let missingCodes = 0;
   for (const row of rows) {
     const providerNum = row['OPO Provider #'] || row['OPO Provider Number'];
     if (!providerNum) continue;
@@ -107,7 +68,7 @@ async function scrape() {
         state: (row['State'] || '').trim(),
         zip: (row['ZIP'] || '').trim(),
         phone: (row['OPO Telephone #'] || row['Telephone'] || '').trim(),
-        transplant_centers: [],
+        transplant_center_codes: [],
       };
     }
 
@@ -115,34 +76,47 @@ async function scrape() {
     const otcCode = (row['OTC Code'] || '').trim();
     const serviceType = (row['Organ Transplantation Center Service Type Description'] || '').trim();
 
-    if (otcName) {
-      // Check if we already have this OTC
-      const existing = opoGroups[key].transplant_centers.find(tc => tc.code === otcCode);
-      if (existing) {
-        if (serviceType && !existing.services.includes(serviceType)) {
-          existing.services.push(serviceType);
-        }
-      } else {
-        opoGroups[key].transplant_centers.push({
-          name: otcName,
-          code: otcCode,
-          city: (row['City'] || '').trim(), // OTC city may differ
-          services: serviceType ? [serviceType] : [],
-        });
-      }
+    if (!otcName) continue;
+    if (!otcCode) {
+      missingCodes++;
+      continue;
+    }
+
+    if (!centers[otcCode]) {
+      centers[otcCode] = {
+        code: otcCode,
+        name: otcName,
+        location: centerLocation(otcCode),
+        programs: [],
+        services: [],
+        provider_numbers: [],
+      };
+    }
+    const center = centers[otcCode];
+    if (serviceType && !center.services.includes(serviceType)) {
+      center.services.push(serviceType);
+      const program = toProgram(serviceType);
+      if (!center.programs.includes(program)) center.programs.push(program);
+    }
+    if (!center.provider_numbers.includes(key)) center.provider_numbers.push(key);
+    if (!opoGroups[key].transplant_center_codes.includes(otcCode)) {
+      opoGroups[key].transplant_center_codes.push(otcCode);
     }
   }
 
+  if (missingCodes > 0) {
+    logger.warn(SOURCE, `Skipped ${missingCodes} transplant center rows without an OTC Code`);
+  }
   logger.info(SOURCE, `Found ${Object.keys(opoGroups).length} unique OPOs`);
 
-  // Map to DSA codes
+  // Map provider numbers to DSA codes through the registry
   const opos = [];
   const unmapped = [];
 
   for (const [provNum, opoData] of Object.entries(opoGroups)) {
-    const dsaCode = PROVIDER_TO_DSA[provNum];
+    const dsaCode = dsaForProvider(provNum);
     if (!dsaCode) {
-      unmapped.push(`${provNum}: ${opoData.name}`);
+      unmapped.push({ provider_number: provNum, name: opoData.name });
       continue;
     }
 
@@ -155,32 +129,46 @@ async function scrape() {
       state: opoData.state || null,
       zip: opoData.zip || null,
       phone: opoData.phone || null,
-      transplant_centers: opoData.transplant_centers,
+      transplant_center_codes: opoData.transplant_center_codes.sort(),
     });
   }
 
   if (unmapped.length > 0) {
-    logger.warn(SOURCE, `Unmapped provider numbers: ${unmapped.join(', ')}`);
+    logger.warn(SOURCE, `Unmapped provider numbers (add them to the registry): ${unmapped.map(u => `${u.provider_number}: ${u.name}`).join(', ')}`);
   }
 
   opos.sort((a, b) => a.dsa_code.localeCompare(b.dsa_code));
 
+  const transplantCenters = Object.values(centers)
+    .map(center => ({
+      ...center,
+      opos: center.provider_numbers.map(p => dsaForProvider(p)).filter(Boolean).sort(),
+    }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+  const shared = transplantCenters.filter(c => c.provider_numbers.length > 1).length;
+  logger.info(SOURCE, `Found ${transplantCenters.length} transplant centers (${shared} served by more than one OPO)`);
+
   const output = {
     metadata: {
       source: 'HRSA Data Downloads (ORG_OTC_FCT_DET.xlsx)',
       fetched_at: new Date().toISOString(),
       total_opos: opos.length,
-      total_transplant_centers: opos.reduce((sum, o) => sum + o.transplant_centers.length, 0),
+      total_transplant_centers: transplantCenters.length,
+      shared_transplant_centers: shared,
+      unmapped_provider_numbers: unmapped,
     },
     opos,
+    transplant_centers: transplantCenters,
   };
 
-  const outPath = path.join(config.paths.rawData, 'hrsa.json');
+  checkOutput(SOURCE, 'raw-hrsa', output, options);
+
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  fingerprint.record(SOURCE, upstream);
   logger.info(SOURCE, `Wrote ${opos.length} OPOs to ${outPath}`);
 
   return output;
 }
 
-module.exports = { scrape };
+module.exports = { scrape, DEPENDS_ON };
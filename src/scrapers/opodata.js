@@ -1,12 +1,17 @@
-const axios = require('axios');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const http = require('../utils/http');
+const { checkOutput } = require('../utils/validate');
+const { resolveCodes } = require('../utils/registry');
+const { originCode } = require('../utils/lineage');
+const fingerprint = require('../utils/fingerprint');
 
 const SOURCE = 'opodata';
-const { base, indexPageData, userAgent, timeout } = config.sources.opodata;
+const DEPENDS_ON = [];
+const { base, indexPageData, timeout } = config.sources.opodata;
 
 function generateId(dsaCode) {
   const hash = crypto.createHash('sha256').update(`opo:${dsaCode}`).digest('hex');
@@ -20,10 +25,7 @@ function generateId(dsaCode) {
 }
 
 async function fetchJson(url) {
-  const { data } = await axios.get(url, {
-    headers: { 'User-Agent': userAgent },
-    timeout,
-  });
+  const { data } = await http.get(url, { timeout });
   return data;
 }
 
@@ -160,7 +162,7 @@ function transformOpo(raw) {
   };
 }
 
-async function scrape() {
+async function scrape(options = {}) {
   logger.info(SOURCE, 'Fetching opodata.org index page-data...');
   const indexData = await fetchJson(indexPageData);
   const hashes = indexData.staticQueryHashes || [];
@@ -176,7 +178,14 @@ async function scrape() {
   const opoNodes = result.data.opoData.nodes;
   logger.info(SOURCE, `Raw OPOs: ${opoNodes.length}`);
 
+  const outPath = path.join(config.paths.rawData, 'opodata.json');
+  const upstream = { content_sha256: fingerprint.hash(opoNodes), registry_sha256: fingerprint.hashFile(config.paths.registry) };
+  if (fingerprint.unchanged(SOURCE, upstream, [outPath], options)) return null;
+
   const opos = opoNodes.map(transformOpo);
+  resolveCodes(SOURCE, opos);
+  // Keep opo_id stable when an OPO changes DSA code
+  for (const opo of opos) opo.opo_id = generateId(originCode(opo.dsa_code));
   opos.sort((a, b) => a.dsa_code.localeCompare(b.dsa_code));
 
   const output = {
@@ -184,14 +193,15 @@ async function scrape() {
       source: 'opodata.org',
       fetched_at: new Date().toISOString(),
       total_opos: opos.length,
-      data_year: 2023,
     },
     opos,
   };
 
-  const outPath = path.join(config.paths.rawData, 'opodata.json');
+  checkOutput(SOURCE, 'raw-opodata', output, options);
+
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  fingerprint.record(SOURCE, upstream);
   logger.info(SOURCE, `Wrote ${opos.length} OPOs to ${outPath}`);
 
   const tiers = { 1: 0, 2: 0, 3: 0 };
@@ -204,4 +214,4 @@ async function scrape() {
   return output;
 }
 
-module.exports = { scrape, generateId };
+module.exports = { scrape, DEPENDS_ON, generateId, parseTier, parseAtRisk, parseStates, transformOpo };
@@ -1,80 +1,81 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const cheerio = require('cheerio');
 const config = require('../config');
 const logger = require('../utils/logger');
-const EIN_MAP = require('../utils/ein-map');
+const http = require('../utils/http');
+const { checkOutput } = require('../utils/validate');
+const { loadOverrides, knownEin, resolveOpo } = require('../utils/ein-resolver');
+const { parseExecutives } = require('../utils/form990');
+const fingerprint = require('../utils/fingerprint');
 
 const SOURCE = 'propublica';
+// Scrapers whose raw output this one reads; the runner runs them first
+const DEPENDS_ON = ['opodata'];
 const API_BASE = config.sources.propublica.base;
-const SEARCH_BASE = config.sources.propublica.searchBase;
-const DELAY = config.sources.propublica.delay;
+const ORG_PAGE_BASE = config.sources.propublica.orgPageBase;
 const TIMEOUT = config.sources.propublica.timeout;
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const CACHE_TTL = config.sources.propublica.cacheTtl;
 
 async function apiGet(url) {
-  const { data } = await axios.get(url, {
-    headers: { 'User-Agent': 'opo-scraper/1.0' },
-    timeout: TIMEOUT,
-  });
+  const { data } = await http.get(url, { timeout: TIMEOUT, cacheTtl: CACHE_TTL });
   return data;
 }
 
-// Search ProPublica for an OPO by name and return the best EIN match
-async function searchEin(opoName) {
-  const query = encodeURIComponent(opoName);
-  const url = `${SEARCH_BASE}?q=${query}`;
-  try {
-    const data = await apiGet(url);
-    if (!data.organizations?.length) return null;
-
-    // Look for an exact or close name match
-    const nameNorm = opoName.toLowerCase().replace(/[^a-z0-9]/g, '');
-    for (const org of data.organizations) {
-      const orgName = (org.name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-      const subName = (org.sub_name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-      if (orgName.includes(nameNorm) || subName.includes(nameNorm) || nameNorm.includes(orgName)) {
-        return org.ein;
-      }
-    }
+function toFiling(filing) {
+  return {
+    tax_year: filing.tax_prd_yr,
+    total_revenue: filing.totrevenue,
+    total_expenses: filing.totfuncexpns,
+    total_assets: filing.totassetsend,
+    total_liabilities: filing.totliabend,
+    net_assets: filing.totnetassetend,
+    officer_compensation: filing.compnsatncurrofcr,
+    program_revenue: filing.totprgmrevnue,
+    contributions: filing.totcntrbgfts,
+    investment_income: filing.invstmntinc,
+    other_salaries: filing.othrsalwages,
+  };
+}
 
-    // Fallback: return top result if it looks like a nonprofit in the right domain
-    return data.organizations[0].ein;
-  } catch (err) {
-    logger.warn(SOURCE, `Search failed for "${opoName}": ${err.message}`);
-    return null;
+// One entry per tax year, oldest first. filings_with_data is newest first, so
+// the first filing seen for a year (the latest, e.g. an amended return) wins.
+function toHistory(filings) {
+  const byYear = {};
+  for (const f of filings) {
+    if (f.tax_year && !byYear[f.tax_year]) byYear[f.tax_year] = f;
   }
+  return Object.values(byYear)
+    .sort((a, b) => a.tax_year - b.tax_year)
+    .map(f => ({
+      tax_year: f.tax_year,
+      revenue: f.total_revenue ?? null,
+      expenses: f.total_expenses ?? null,
+      assets: f.total_assets ?? null,
+      liabilities: f.total_liabilities ?? null,
+      net_assets: f.net_assets ?? null,
+      officer_compensation: f.officer_compensation ?? null,
+      contributions: f.contributions ?? null,
+      program_revenue: f.program_revenue ?? null,
+      investment_income: f.investment_income ?? null,
+    }));
 }
 
-// Fetch organization details + latest filing from ProPublica
+// Fetch organization details + every filing from ProPublica
 async function fetchOrg(ein) {
   const url = `${API_BASE}/organizations/${ein}.json`;
   try {
     const data = await apiGet(url);
     const org = data.organization;
-    const filing = data.filings_with_data?.[0]; // newest first
+    const filings = (data.filings_with_data || []).map(toFiling); // newest first
 
     return {
       ein,
       org_name: org.name,
       city: org.city,
       state: org.state,
-      filing: filing ? {
-        tax_year: filing.tax_prd_yr,
-        total_revenue: filing.totrevenue,
-        total_expenses: filing.totfuncexpns,
-        total_assets: filing.totassetsend,
-        total_liabilities: filing.totliabend,
-        net_assets: filing.totnetassetend,
-        officer_compensation: filing.compnsatncurrofcr,
-        program_revenue: filing.totprgmrevnue,
-        contributions: filing.totcntrbgfts,
-        investment_income: filing.invstmntinc,
-        other_salaries: filing.othrsalwages,
-      } : null,
+      filing: filings[0] || null,
+      filings,
     };
   } catch (err) {
     logger.warn(SOURCE, `Fetch failed for EIN ${ein}: ${err.message}`);
@@ -82,34 +83,38 @@ async function fetchOrg(ein) {
   }
 }
 
-// Build EIN map by searching for each OPO name
-async function buildEinMap() {
-  const rawPath = path.join(config.paths.rawData, 'opodata.json');
-  if (!fs.existsSync(rawPath)) {
-    throw new Error('Run opodata scraper first to generate data/raw/opodata.json');
-  }
-
-  const opodata = JSON.parse(fs.readFileSync(rawPath, 'utf-8'));
-  const results = {};
-
-  logger.info(SOURCE, `Searching ProPublica for ${opodata.opos.length} OPOs...`);
+// XML links on the organization page, newest first. Object IDs start with the
+// year the return was processed, so they sort chronologically.
+async function findXmlLinks(ein) {
+  const pageUrl = `${ORG_PAGE_BASE}/${ein}`;
+  const { data } = await http.get(pageUrl, { responseType: 'text', timeout: TIMEOUT, cacheTtl: CACHE_TTL });
+  const $ = cheerio.load(data);
+  const links = {};
+  $('a[href*="download-xml"]').each((i, el) => {
+    const url = new URL($(el).attr('href'), pageUrl);
+    const objectId = url.searchParams.get('object_id');
+    if (objectId) links[objectId] = url.href;
+  });
+  return Object.keys(links).sort().reverse().map(id => links[id]);
+}
 
-  for (const opo of opodata.opos) {
-    const ein = await searchEin(opo.name);
-    results[opo.dsa_code] = ein;
-    logger.info(SOURCE, `${opo.dsa_code} (${opo.name}): EIN=${ein || 'NOT FOUND'}`);
-    await sleep(DELAY);
+// Executive compensation (Part VII + Schedule J) from the latest e-filed return
+async function fetchExecutives(ein) {
+  try {
+    const [xmlUrl] = await findXmlLinks(ein);
+    if (!xmlUrl) {
+      logger.debug(SOURCE, `No e-filed XML for EIN ${ein}`);
+      return null;
+    }
+    const { data } = await http.get(xmlUrl, { responseType: 'text', timeout: TIMEOUT, cacheTtl: CACHE_TTL });
+    return parseExecutives(data);
+  } catch (err) {
+    logger.warn(SOURCE, `Executive compensation unavailable for EIN ${ein}: ${err.message}`);
+    return null;
   }
-
-  // Output as a JS module for manual review/editing
-  const mapPath = path.join(config.paths.rawData, 'ein-discoveries.json');
-  fs.writeFileSync(mapPath, JSON.stringify(results, null, 2));
-  logger.info(SOURCE, `EIN map written to ${mapPath}`);
-
-  return results;
 }
 
-async function scrape() {
+async function scrape(options = {}) {
   const rawPath = path.join(config.paths.rawData, 'opodata.json');
   if (!fs.existsSync(rawPath)) {
     throw new Error('Run opodata scraper first to generate data/raw/opodata.json');
@@ -118,65 +123,93 @@ async function scrape() {
   const opodata = JSON.parse(fs.readFileSync(rawPath, 'utf-8'));
   const opos = opodata.opos;
 
-  // Step 1: Resolve EINs (use static map, fall back to search)
+  // Step 1: Resolve EINs (overrides file, then the registry, then a scored search)
   logger.info(SOURCE, 'Resolving EINs for OPOs...');
+  const overrides = loadOverrides();
   const einMap = {};
   const needSearch = [];
 
   for (const opo of opos) {
-    const staticEin = EIN_MAP[opo.dsa_code];
-    if (staticEin) {
-      einMap[opo.dsa_code] = staticEin;
-    } else {
+    const known = knownEin(opo.dsa_code, overrides);
+    if (!known) {
       needSearch.push(opo);
+    } else if (known.ein) {
+      einMap[opo.dsa_code] = known;
     }
   }
 
-  logger.info(SOURCE, `Static EINs: ${Object.keys(einMap).length}, need search: ${needSearch.length}`);
+  logger.info(SOURCE, `Known EINs: ${Object.keys(einMap).length}, need search: ${needSearch.length}`);
 
   for (const opo of needSearch) {
-    const ein = await searchEin(opo.name);
-    if (ein) {
-      einMap[opo.dsa_code] = ein;
+    const result = await resolveOpo(opo);
+    if (result.status === 'accepted') {
+      einMap[opo.dsa_code] = { ein: result.ein, source: 'search', confidence: result.confidence };
+      logger.info(SOURCE, `${opo.dsa_code}: EIN=${result.ein} (confidence ${result.confidence})`);
+    } else if (result.status === 'review') {
+      logger.warn(SOURCE, `${opo.dsa_code}: best match ${result.candidates[0].ein} below threshold (confidence ${result.confidence}); run --resolve-eins to review`);
+    } else {
+      logger.info(SOURCE, `${opo.dsa_code}: EIN=NOT FOUND`);
     }
-    logger.info(SOURCE, `${opo.dsa_code}: EIN=${ein || 'NOT FOUND'}`);
-    await sleep(DELAY);
   }
 
-  // Step 2: Fetch financial data for each EIN
+  // Step 2: Fetch each EIN's organization record and filings
   logger.info(SOURCE, `Fetching financials for ${Object.keys(einMap).length} OPOs...`);
+  const orgs = {};
+  for (const { ein } of Object.values(einMap)) {
+    if (!(ein in orgs)) orgs[ein] = await fetchOrg(ein);
+  }
+
+  // The resolved EINs and each EIN's filings decide the output; the
+  // organization pages and XML returns are only fetched when those changed.
+  // Within CACHE_TTL the filing lists come from the HTTP
+  // cache, so an unchanged rerun stops here without a request.
+  const outPath = path.join(config.paths.rawData, 'propublica.json');
+  const upstream = {
+    eins: Object.fromEntries(Object.entries(einMap).sort()),
+    filing_years: Object.fromEntries(Object.entries(orgs).map(([ein, org]) => [ein, (org?.filings || []).map(f => f.tax_year)])),
+    filings_sha256: fingerprint.hash(Object.values(orgs).map(org => org?.filings ?? null)),
+  };
+  if (fingerprint.unchanged(SOURCE, upstream, [outPath], options)) return null;
+
   const results = [];
   let found = 0;
 
   for (const opo of opos) {
-    const ein = einMap[opo.dsa_code];
+    const { ein, source: einSource, confidence } = einMap[opo.dsa_code] || {};
     if (!ein) {
       logger.warn(SOURCE, `No EIN for ${opo.dsa_code}, skipping`);
       continue;
     }
 
-    const orgData = await fetchOrg(ein);
-    await sleep(DELAY);
+    const orgData = orgs[ein];
 
     if (!orgData || !orgData.filing) {
       logger.warn(SOURCE, `No filing data for ${opo.dsa_code} (EIN ${ein})`);
       continue;
     }
 
+    const compensation = config.sources.propublica.executives ? await fetchExecutives(ein) : null;
+
     found++;
     results.push({
       dsa_code: opo.dsa_code,
       name: opo.name,
       ein,
+      ein_source: einSource,
+      ein_confidence: confidence,
+      org_name: orgData.org_name ?? null,
       revenue: orgData.filing.total_revenue,
       expenses: orgData.filing.total_expenses,
       assets: orgData.filing.total_assets,
-      ceo_compensation: orgData.filing.officer_compensation,
+      officer_compensation: orgData.filing.officer_compensation,
+      executives: compensation?.executives ?? null,
+      executives_tax_year: compensation?.tax_year ?? null,
       oac_per_organ: null, // not available from ProPublica
       tax_year: orgData.filing.tax_year,
       program_revenue: orgData.filing.program_revenue,
       contributions: orgData.filing.contributions,
       investment_income: orgData.filing.investment_income,
+      history: toHistory(orgData.filings),
     });
 
     logger.debug(SOURCE, `${opo.dsa_code}: revenue=$${(orgData.filing.total_revenue || 0).toLocaleString()}, expenses=$${(orgData.filing.total_expenses || 0).toLocaleString()}`);
@@ -192,12 +225,14 @@ async function scrape() {
     opos: results,
   };
 
-  const outPath = path.join(config.paths.rawData, 'propublica.json');
+  checkOutput(SOURCE, 'raw-propublica', output, options);
+
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  fingerprint.record(SOURCE, upstream);
   logger.info(SOURCE, `Wrote ${results.length} OPOs with financial data to ${outPath}`);
 
   return output;
 }
 
-module.exports = { scrape, buildEinMap };
+module.exports = { scrape, DEPENDS_ON, toHistory, findXmlLinks };
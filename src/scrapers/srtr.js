@@ -1,35 +1,55 @@
-const axios = require('axios');
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const http = require('../utils/http');
+const { checkOutput } = require('../utils/validate');
+const { fromListing, recentMonths, pickRelease } = require('../utils/releases');
+const { loadCatalog } = require('../utils/srtr-catalog');
+const { resolveCodes } = require('../utils/registry');
+const fingerprint = require('../utils/fingerprint');
 
 const SOURCE = 'srtr';
+const DEPENDS_ON = [];
 
 // SRTR provides downloadable Excel files containing all OPO-Specific Report tables.
 // URL pattern: https://www.srtr.org/assets/media/OSRdownloads/final_tables/OSR_final_tables{YYMM}.xlsx
-// We try the latest period codes in order (semiannual releases in Jan and Jul).
-const PERIOD_CODES = ['2507', '2505', '2501', '2407', '2401'];
+// Period codes are discovered from the reports listing page; if that yields
+// nothing, or none of the listed files downloads, every YYMM in the lookback
+// window is tried, newest first.
 const BASE_URL = 'https://www.srtr.org/assets/media/OSRdownloads/final_tables/OSR_final_tables';
+const FILE_PATTERN = /OSR_final_tables(\d{4})\.xlsx$/i;
+
+function periodCandidate(code, discovery, url = `${BASE_URL}${code}.xlsx`) {
+  return { id: code, sortKey: `20${code}`, url, discovery };
+}
+
+function enumeratePeriods(now = new Date(), months = config.sources.srtr.lookbackMonths) {
+  return recentMonths(now, months).map(({ year, month }) =>
+    periodCandidate(`${String(year % 100).padStart(2, '0')}${String(month).padStart(2, '0')}`, 'enumerated'));
+}
+
+async function discoverPeriods(now = new Date()) {
+  const listed = await fromListing(SOURCE, config.sources.srtr.listingUrl, href => {
+    const match = href.match(FILE_PATTERN);
+    return match ? periodCandidate(match[1], 'listing', href) : null;
+  }, { timeout: config.sources.srtr.timeout });
+  return listed.length ? listed : enumeratePeriods(now);
+}
 
 async function downloadExcel() {
-  for (const code of PERIOD_CODES) {
-    const url = `${BASE_URL}${code}.xlsx`;
-    try {
-      logger.info(SOURCE, `Trying ${url}...`);
-      const response = await axios.get(url, {
-        responseType: 'arraybuffer',
-        timeout: config.sources.srtr.timeout,
-        headers: { 'User-Agent': 'opo-scraper/1.0' },
-      });
-      logger.info(SOURCE, `Downloaded ${(response.data.byteLength / 1024).toFixed(0)} KB from period ${code}`);
-      return { data: response.data, period: code };
-    } catch (err) {
-      logger.warn(SOURCE, `Period ${code} not available: ${err.message}`);
-    }
-  }
-  throw new Error('Could not download any SRTR Excel file');
+  const candidates = await discoverPeriods();
+  const { data, release } = await pickRelease(SOURCE, candidates, async url => {
+    const response = await http.get(url, {
+      responseType: 'arraybuffer',
+      timeout: config.sources.srtr.timeout,
+      cacheTtl: config.sources.srtr.cacheTtl,
+    });
+    return response.data;
+  }, enumeratePeriods());
+  logger.info(SOURCE, `Downloaded ${(data.byteLength / 1024).toFixed(0)} KB from period ${release.chosen}`);
+  return { data, period: release.chosen, release };
 }
 
 function findSheet(workbook, patterns) {
@@ -63,13 +83,15 @@ function parseUtilizationData(workbook) {
 
     if (opoCodeColIdx === -1) {
       // Try checking if any column has values matching OPO code pattern
-      for (let row = 1; row < Math.min(rows.length, 10); row++) {
+      let found = false;
+      for (let row = 1; row < Math.min(rows.length, 10) && !found; row++) {
         for (let col = 0; col < (rows[row]?.length || 0); col++) {
           const val = rows[row][col];
           if (val && typeof val === 'string' && /^[A-Z]{4}$/.test(val)) {
-            // Found what looks like OPO codes, parse this sheet
+            // Found what looks like OPO codes, parse this sheet once
             logger.info(SOURCE, `Found OPO data in sheet "${sheetName}" at column ${col}`);
             parseSheetWithOpoCol(rows, col, headerRow, opoData, sheetName);
+            found = true;
             break;
           }
         }
@@ -208,10 +230,83 @@ function extractMetrics(opoSheetData) {
   return metrics;
 }
 
-async function scrape() {
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function tablePattern(tableId) {
+  return new RegExp(`\\b${tableId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+}
+
+function setPath(obj, fieldPath, val) {
+  const keys = fieldPath.split('.');
+  let target = obj;
+  for (const key of keys.slice(0, -1)) target = target[key] = target[key] || {};
+  target[keys[keys.length - 1]] = val;
+}
+
+function coerce(val, type) {
+  const n = toNum(val);
+  if (n === null) return null;
+  return type === 'count' ? Math.round(n) : n;
+}
+
+// Every catalog field for one OPO, null when its table or column is missing
+function extractCatalog(opoSheetData, catalog) {
+  const out = {};
+  const sheets = opoSheetData?.sheets || {};
+  for (const entry of catalog) {
+    const pattern = tablePattern(entry.table);
+    const accepted = entry.columns.map(headerKey);
+    let val = null;
+    for (const [name, rows] of Object.entries(sheets)) {
+      if (!pattern.test(name)) continue;
+      for (const row of rows) {
+        const key = Object.keys(row).find(k => accepted.includes(headerKey(k)));
+        if (key !== undefined && toNum(row[key]) !== null) {
+          val = coerce(row[key], entry.type);
+          break;
+        }
+      }
+      if (val !== null) break;
+    }
+    setPath(out, entry.field, val);
+  }
+  return out;
+}
+
+function isMapped(sheetName, catalog) {
+  return catalog.some(entry => tablePattern(entry.table).test(sheetName));
+}
+
+// Rows from sheets no catalog entry covers, kept as parsed
+function unmappedTables(opoSheetData, catalog) {
+  const out = {};
+  for (const [name, rows] of Object.entries(opoSheetData?.sheets || {})) {
+    if (!isMapped(name, catalog)) out[name] = rows;
+  }
+  return out;
+}
+
+function catalogFields(catalog) {
+  return Object.fromEntries(catalog.map(e => [e.field, { table: e.table, type: e.type, unit: e.unit ?? null }]));
+}
+
+async function scrape(options = {}) {
   logger.info(SOURCE, 'Downloading SRTR OPO-Specific Report tables...');
 
-  const { data, period } = await downloadExcel();
+  const { data, period, release } = await downloadExcel();
+
+  const outPath = path.join(config.paths.rawData, 'srtr.json');
+  // The registry resolves codes and the catalog decides which tables are read
+  const upstream = {
+    period_code: period,
+    content_sha256: fingerprint.hash(Buffer.from(data)),
+    registry_sha256: fingerprint.hashFile(config.paths.registry),
+    catalog_sha256: fingerprint.hashFile(config.sources.srtr.catalogFile),
+  };
+  if (fingerprint.unchanged(SOURCE, upstream, [outPath], options)) return null;
+
   const workbook = XLSX.read(data, { type: 'buffer' });
 
   logger.info(SOURCE, `Workbook has ${workbook.SheetNames.length} sheets`);
@@ -220,32 +315,59 @@ async function scrape() {
   const opoCodes = Object.keys(opoSheetData);
   logger.info(SOURCE, `Found data for ${opoCodes.length} OPOs`);
 
+  const catalog = loadCatalog();
+  const opoSheets = [...new Set(opoCodes.flatMap(code => Object.keys(opoSheetData[code].sheets)))].sort();
+  const unmapped = opoSheets.filter(name => !isMapped(name, catalog));
+  if (unmapped.length) {
+    logger.warn(SOURCE, `Sheets not in the table catalog (kept in srtr_tables): ${unmapped.join(', ')}`);
+  }
+
   const opos = [];
   for (const code of opoCodes.sort()) {
     const metrics = extractMetrics(opoSheetData[code]);
     opos.push({
       dsa_code: code,
       ...metrics,
+      ...extractCatalog(opoSheetData[code], catalog),
+      srtr_tables: unmappedTables(opoSheetData[code], catalog),
     });
   }
+  resolveCodes(SOURCE, opos);
 
   const output = {
     metadata: {
       source: 'SRTR OPO-Specific Reports (Excel)',
       period_code: period,
+      release,
       fetched_at: new Date().toISOString(),
       total_opos: opos.length,
       sheets_parsed: workbook.SheetNames.length,
+      catalog: {
+        fields: catalogFields(catalog),
+        mapped_sheets: opoSheets.filter(name => isMapped(name, catalog)),
+        unmapped_sheets: unmapped,
+      },
     },
     opos,
   };
 
-  const outPath = path.join(config.paths.rawData, 'srtr.json');
+  checkOutput(SOURCE, 'raw-srtr', output, options);
+
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  fingerprint.record(SOURCE, upstream);
   logger.info(SOURCE, `Wrote ${opos.length} OPOs to ${outPath}`);
 
   return output;
 }
 
-module.exports = { scrape };
+module.exports = {
+  scrape,
+  DEPENDS_ON,
+  enumeratePeriods,
+  parseUtilizationData,
+  calcDiscardRate,
+  extractMetrics,
+  extractCatalog,
+  unmappedTables,
+};
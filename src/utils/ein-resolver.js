@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const config = require('../config');
+const logger = require('./logger');
+const http = require('./http');
+const { einFor } = require('./registry');
+const { nameSimilarity } = require('./quality');
+
+const SOURCE = 'ein-resolver';
+const SETTINGS = config.sources.propublica.einResolution;
+
+// Finds the ProPublica organization behind an OPO. Search results are scored
+// on name similarity, state, NTEE code and city; the top candidate is only
+// accepted automatically at or above SETTINGS.autoAccept. Decisions are kept
+// in config.paths.einOverrides, keyed by DSA code:
+//   { ein, status, confidence, org_name, resolved_at, candidates[] }
+// status: accepted (auto) | manual (picked by hand) | review | not_found |
+// rejected (no matching filer, e.g. hospital-based OPOs). The scraper uses
+// the EIN of accepted and manual entries and skips rejected ones.
+
+const USABLE = ['accepted', 'manual'];
+
+function sameText(a, b) {
+  return !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function scoreCandidate(opo, org) {
+  const states = [...(opo.states_served || []), opo.location?.state].filter(Boolean);
+  const scores = {
+    name: Math.max(nameSimilarity(opo.name, org.name), org.sub_name ? nameSimilarity(opo.name, org.sub_name) : 0),
+    state: states.includes(org.state) ? 1 : 0,
+    ntee: SETTINGS.nteePrefixes.some(p => String(org.ntee_code || '').toUpperCase().startsWith(p)) ? 1 : 0,
+    city: sameText(opo.location?.city, org.city) ? 1 : 0,
+  };
+  const confidence = Object.entries(SETTINGS.weights).reduce((sum, [key, weight]) => sum + weight * scores[key], 0);
+  return {
+    ein: org.ein,
+    org_name: org.name ?? null,
+    city: org.city ?? null,
+    state: org.state ?? null,
+    ntee_code: org.ntee_code ?? null,
+    confidence: Math.round(confidence * 100) / 100,
+    scores,
+  };
+}
+
+function rankCandidates(opo, organizations) {
+  return organizations
+    .filter(org => org.ein)
+    .map(org => scoreCandidate(opo, org))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, SETTINGS.maxCandidates);
+}
+
+async function searchCandidates(opo) {
+  const url = `${config.sources.propublica.searchBase}?q=${encodeURIComponent(opo.name)}`;
+  const { data } = await http.get(url, { timeout: config.sources.propublica.timeout, cacheTtl: config.sources.propublica.cacheTtl });
+  return rankCandidates(opo, data.organizations || []);
+}
+
+// Returns { status, ein, confidence, org_name, candidates[] }
+async function resolveOpo(opo) {
+  let candidates;
+  try {
+    candidates = await searchCandidates(opo);
+  } catch (err) {
+    logger.warn(SOURCE, `Search failed for "${opo.name}": ${err.message}`);
+    candidates = [];
+  }
+  const top = candidates[0];
+  if (!top) return { status: 'not_found', ein: null, confidence: null, org_name: null, candidates };
+  if (top.confidence < SETTINGS.autoAccept) {
+    return { status: 'review', ein: null, confidence: top.confidence, org_name: null, candidates };
+  }
+  return { status: 'accepted', ein: top.ein, confidence: top.confidence, org_name: top.org_name, candidates };
+}
+
+function loadOverrides(file = config.paths.einOverrides) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+}
+
+function writeOverrides(overrides, file = config.paths.einOverrides) {
+  const sorted = Object.fromEntries(Object.keys(overrides).sort().map(dsa => [dsa, overrides[dsa]]));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+// { ein, source, confidence } from the overrides file, then the registry;
+// ein is null for rejected OPOs. Returns null when the OPO needs a search.
+function knownEin(dsa, overrides) {
+  const entry = overrides[dsa];
+  if (entry && USABLE.includes(entry.status) && entry.ein) {
+    return { ein: entry.ein, source: 'override', confidence: entry.confidence ?? null };
+  }
+  if (entry?.status === 'rejected') return { ein: null, source: 'override', confidence: null };
+  const ein = einFor(dsa);
+  if (ein) return { ein, source: 'static', confidence: 1 };
+  return null;
+}
+
+function formatCandidate(c, i) {
+  return `  ${i + 1}. ${c.org_name} (EIN ${c.ein}, ${c.city || '?'}, ${c.state || '?'}, NTEE ${c.ntee_code || '?'}) confidence ${c.confidence}`;
+}
+
+// Asks on the terminal which candidate is right. Returns a candidate index,
+// 'reject', or null to leave the OPO for review.
+async function terminalPrompt(opo, result) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    console.log(`\n${opo.dsa_code} ${opo.name} (${(opo.states_served || []).join(', ')})`);
+    result.candidates.forEach((c, i) => console.log(formatCandidate(c, i)));
+    const answer = (await rl.question('Pick a number, "n" if none match, or Enter to skip: ')).trim().toLowerCase();
+    if (answer === 'n') return 'reject';
+    const index = Number(answer) - 1;
+    return Number.isInteger(index) && result.candidates[index] ? index : null;
+  } finally {
+    rl.close();
+  }
+}
+
+// --resolve-eins: resolves every OPO without an EIN in the registry or a
+// manual/rejected override, and writes the overrides file. Below-threshold
+// matches are put to options.prompt (the terminal when interactive).
+async function resolveEins(options = {}) {
+  const rawPath = path.join(config.paths.rawData, 'opodata.json');
+  if (!fs.existsSync(rawPath)) {
+    throw new Error('Run opodata scraper first to generate data/raw/opodata.json');
+  }
+  const opos = JSON.parse(fs.readFileSync(rawPath, 'utf-8')).opos;
+  const prompt = options.prompt !== undefined ? options.prompt : (process.stdin.isTTY ? terminalPrompt : null);
+  const overrides = loadOverrides();
+
+  const pending = opos.filter(opo =>
+    !einFor(opo.dsa_code) && !['manual', 'rejected'].includes(overrides[opo.dsa_code]?.status));
+  logger.info(SOURCE, `Resolving EINs for ${pending.length} OPOs (auto-accept at ${SETTINGS.autoAccept})`);
+
+  for (const opo of pending) {
+    const result = await resolveOpo(opo);
+    if (result.status === 'review' && prompt) {
+      const choice = await prompt(opo, result);
+      if (choice === 'reject') {
+        Object.assign(result, { status: 'rejected', ein: null, org_name: null });
+      } else if (choice !== null && result.candidates[choice]) {
+        const picked = result.candidates[choice];
+        Object.assign(result, { status: 'manual', ein: picked.ein, org_name: picked.org_name, confidence: picked.confidence });
+      }
+    }
+    overrides[opo.dsa_code] = { ...result, resolved_at: new Date().toISOString() };
+    logger.info(SOURCE, `${opo.dsa_code}: ${result.status}${result.ein ? ` EIN=${result.ein}` : ''}${result.confidence !== null ? ` (confidence ${result.confidence})` : ''}`);
+  }
+
+  writeOverrides(overrides);
+  const counts = {};
+  for (const entry of Object.values(overrides)) counts[entry.status] = (counts[entry.status] || 0) + 1;
+  logger.info(SOURCE, `Wrote ${config.paths.einOverrides}: ${Object.entries(counts).map(([s, n]) => `${s}=${n}`).join(', ')}`);
+  return overrides;
+}
+
+module.exports = { scoreCandidate, rankCandidates, resolveOpo, loadOverrides, knownEin, resolveEins };
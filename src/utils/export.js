@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+const SOURCE = 'export';
+
+// Exports of data/normalized for analysis tools, written to data/exports:
+// - csv:    opos.csv, one row per OPO with dotted column names. Every column
+//           holds a single scalar type; lists of scalars are joined with "; "
+//           and lists of objects (filing history, executives) are left to
+//           the SQLite tables.
+// - sqlite: opos.sqlite with relational tables keyed by dsa_code.
+
+function loadNormalized() {
+  const dir = config.paths.normalizedData;
+  const oposFile = path.join(dir, 'opos.json');
+  if (!fs.existsSync(oposFile)) {
+    throw new Error('No normalized opos.json found. Run normalization first.');
+  }
+  const centersFile = path.join(dir, 'transplant_centers.json');
+  return {
+    opos: JSON.parse(fs.readFileSync(oposFile, 'utf-8')).opos,
+    transplantCenters: fs.existsSync(centersFile)
+      ? JSON.parse(fs.readFileSync(centersFile, 'utf-8')).transplant_centers
+      : [],
+  };
+}
+
+function isScalar(val) {
+  return val === null || ['string', 'number', 'boolean'].includes(typeof val);
+}
+
+// { location: { city: 'X' }, states_served: ['CA', 'NV'] }
+//   -> { 'location.city': 'X', states_served: 'CA; NV' }
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, val] of Object.entries(obj)) {
+    if (!prefix && key === '_provenance') continue;
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (val === undefined) continue;
+    if (Array.isArray(val)) {
+      if (val.every(isScalar)) out[column] = val.length ? val.join('; ') : null;
+    } else if (val !== null && typeof val === 'object') {
+      flatten(val, column, out);
+    } else {
+      out[column] = val;
+    }
+  }
+  return out;
+}
+
+function csvCell(val) {
+  if (val === null || val === undefined) return '';
+  const str = String(val);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Columns are the union over all OPOs, in first-seen order
+function toCsv(opos) {
+  const rows = opos.map(opo => flatten(opo));
+  const columns = [];
+  const seen = new Set();
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
+    }
+  }
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvCell(row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function writeCsv({ opos }, outDir) {
+  const file = path.join(outDir, 'opos.csv');
+  fs.writeFileSync(file, toCsv(opos));
+  return file;
+}
+
+const SCHEMA = `
+CREATE TABLE opos (
+  dsa_code TEXT PRIMARY KEY,
+  opo_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  state TEXT,
+  city TEXT,
+  region TEXT,
+  ein INTEGER,
+  parent_ein INTEGER,
+  tier INTEGER,
+  cycle_year INTEGER,
+  at_risk INTEGER,
+  ceo TEXT,
+  donors_recovered INTEGER,
+  donation_rate REAL,
+  organs_transplanted_per_donor REAL,
+  observed_expected_ratio REAL,
+  revenue REAL,
+  expenses REAL,
+  assets REAL,
+  ceo_compensation REAL,
+  shared_financials INTEGER,
+  area_sq_mi REAL
+);
+
+CREATE TABLE tier_history (
+  dsa_code TEXT NOT NULL REFERENCES opos(dsa_code),
+  year INTEGER NOT NULL,
+  tier INTEGER,
+  donation_rate_category TEXT,
+  transplant_rate_category TEXT,
+  PRIMARY KEY (dsa_code, year)
+);
+
+CREATE TABLE financial_filings (
+  dsa_code TEXT NOT NULL REFERENCES opos(dsa_code),
+  tax_year INTEGER NOT NULL,
+  revenue REAL,
+  expenses REAL,
+  assets REAL,
+  liabilities REAL,
+  net_assets REAL,
+  officer_compensation REAL,
+  contributions REAL,
+  program_revenue REAL,
+  investment_income REAL,
+  revenue_growth_pct REAL,
+  expense_ratio REAL,
+  compensation_growth_pct REAL,
+  PRIMARY KEY (dsa_code, tax_year)
+);
+
+CREATE TABLE transplant_centers (
+  code TEXT PRIMARY KEY,
+  name TEXT,
+  city TEXT,
+  state TEXT,
+  programs TEXT
+);
+
+CREATE TABLE opo_transplant_centers (
+  dsa_code TEXT NOT NULL REFERENCES opos(dsa_code),
+  center_code TEXT NOT NULL REFERENCES transplant_centers(code),
+  PRIMARY KEY (dsa_code, center_code)
+);
+CREATE INDEX opo_transplant_centers_center ON opo_transplant_centers(center_code);
+
+CREATE TABLE demographics (
+  dsa_code TEXT NOT NULL REFERENCES opos(dsa_code),
+  race TEXT NOT NULL,
+  eligible_deaths INTEGER,
+  demographic_rank INTEGER,
+  recovery_rate REAL,
+  PRIMARY KEY (dsa_code, race)
+);
+`;
+
+const FILING_COLUMNS = [
+  'tax_year', 'revenue', 'expenses', 'assets', 'liabilities', 'net_assets', 'officer_compensation',
+  'contributions', 'program_revenue', 'investment_income', 'revenue_growth_pct', 'expense_ratio',
+  'compensation_growth_pct',
+];
+
+// SQLite has no boolean type
+function sqlValue(val) {
+  if (val === undefined) return null;
+  if (typeof val === 'boolean') return val ? 1 : 0;
+  return val;
+}
+
+function insertAll(db, table, rows) {
+  if (!rows.length) return;
+  const columns = Object.keys(rows[0]);
+  const stmt = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+  for (const row of rows) stmt.run(columns.map(c => sqlValue(row[c])));
+}
+
+function opoRow(opo) {
+  return {
+    dsa_code: opo.dsa_code,
+    opo_id: opo.opo_id,
+    name: opo.name,
+    state: opo.location?.state,
+    city: opo.location?.city,
+    region: opo.location?.region,
+    ein: opo.ein,
+    parent_ein: opo.parent_organization?.ein,
+    tier: opo.cms_status?.tier,
+    cycle_year: opo.cms_status?.cycle_year,
+    at_risk: opo.cms_status?.at_risk,
+    ceo: opo.leadership?.ceo,
+    donors_recovered: opo.metrics?.donors_recovered,
+    donation_rate: opo.metrics?.donation_rate,
+    organs_transplanted_per_donor: opo.metrics?.organs_transplanted_per_donor,
+    observed_expected_ratio: opo.metrics?.observed_expected_ratio,
+    revenue: opo.financials?.revenue,
+    expenses: opo.financials?.expenses,
+    assets: opo.financials?.assets,
+    ceo_compensation: opo.financials?.ceo_compensation,
+    shared_financials: opo.financials?.shared_financials,
+    area_sq_mi: opo.service_area?.area_sq_mi,
+  };
+}
+
+function tierRows(opo) {
+  const status = opo.cms_status || {};
+  const years = new Set([
+    ...Object.keys(status.tier_history || {}),
+    ...Object.keys(status.donation_rate_categories || {}),
+    ...Object.keys(status.transplant_rate_categories || {}),
+  ]);
+  return [...years].sort().map(year => ({
+    dsa_code: opo.dsa_code,
+    year: Number(year),
+    tier: status.tier_history?.[year],
+    donation_rate_category: status.donation_rate_categories?.[year],
+    transplant_rate_category: status.transplant_rate_categories?.[year],
+  }));
+}
+
+function filingRows(opo) {
+  return (opo.financials?.history || []).map(h => {
+    const row = { dsa_code: opo.dsa_code };
+    for (const column of FILING_COLUMNS) row[column] = h[column];
+    return row;
+  });
+}
+
+function centerRow(center) {
+  return {
+    code: center.code,
+    name: center.name,
+    city: center.location?.city,
+    state: center.location?.state,
+    programs: (center.programs || []).join('; ') || null,
+  };
+}
+
+function demographicRows(opo) {
+  const eligible = opo.demographics?.eligible_deaths || {};
+  const rank = opo.demographics?.demographic_rank || {};
+  const recovery = opo.metrics?.recovery_rate || {};
+  const races = new Set([...Object.keys(eligible), ...Object.keys(rank), ...Object.keys(recovery)]);
+  return [...races].map(race => ({
+    dsa_code: opo.dsa_code,
+    race,
+    eligible_deaths: eligible[race],
+    demographic_rank: rank[race],
+    recovery_rate: recovery[race],
+  }));
+}
+
+function writeSqlite({ opos, transplantCenters }, outDir) {
+  // Loaded lazily so CSV-only exports don't need the native module
+  const Database = require('better-sqlite3');
+  const file = path.join(outDir, 'opos.sqlite');
+  fs.rmSync(file, { force: true });
+
+  const db = new Database(file);
+  try {
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+    db.transaction(() => {
+      insertAll(db, 'opos', opos.map(opoRow));
+      insertAll(db, 'tier_history', opos.flatMap(tierRows));
+      insertAll(db, 'financial_filings', opos.flatMap(filingRows));
+      insertAll(db, 'transplant_centers', transplantCenters.map(centerRow));
+      insertAll(db, 'opo_transplant_centers', opos.flatMap(opo =>
+        [...new Set(opo.relationships?.transplant_centers || [])].map(code => ({ dsa_code: opo.dsa_code, center_code: code }))));
+      insertAll(db, 'demographics', opos.flatMap(demographicRows));
+    })();
+  } finally {
+    db.close();
+  }
+  return file;
+}
+
+const FORMATS = {
+  csv: writeCsv,
+  sqlite: writeSqlite,
+};
+
+async function run(formats) {
+  const unknown = formats.filter(f => !FORMATS[f]);
+  if (unknown.length) {
+    throw new Error(`Unknown export format: ${unknown.join(', ')} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const data = loadNormalized();
+  const outDir = config.paths.exports;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const files = [];
+  for (const format of formats) {
+    const file = FORMATS[format](data, outDir);
+    logger.info(SOURCE, `Wrote ${path.relative(config.paths.root, file)}`);
+    files.push(file);
+  }
+  return files;
+}
+
+module.exports = { run, flatten, toCsv, FORMATS };
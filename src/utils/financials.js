@@ -0,0 +1,71 @@
+// Derived metrics over a ProPublica filing history (oldest first, one entry
+// per tax year). Percentages are rounded to 2 decimals, ratios to 4.
+
+function round(val, places) {
+  const f = 10 ** places;
+  return Math.round(val * f) / f;
+}
+
+function isNum(val) {
+  return typeof val === 'number' && !isNaN(val);
+}
+
+function growthPct(current, previous) {
+  if (!isNum(current) || !isNum(previous) || previous <= 0) return null;
+  return round(((current - previous) / previous) * 100, 2);
+}
+
+function ratio(num, den) {
+  if (!isNum(num) || !isNum(den) || den <= 0) return null;
+  return round(num / den, 4);
+}
+
+// Compound annual growth between the first and last years with a value
+function cagrPct(history, field) {
+  const points = history.filter(h => isNum(h[field]) && h[field] > 0);
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const years = last.tax_year - first.tax_year;
+  if (years <= 0) return null;
+  return round((Math.pow(last[field] / first[field], 1 / years) - 1) * 100, 2);
+}
+
+// Year-over-year figures are only computed between consecutive tax years
+function withDerived(history) {
+  return history.map((h, i) => {
+    const prev = i > 0 && history[i - 1].tax_year === h.tax_year - 1 ? history[i - 1] : null;
+    return {
+      ...h,
+      revenue_growth_pct: prev ? growthPct(h.revenue, prev.revenue) : null,
+      expense_ratio: ratio(h.expenses, h.revenue),
+      compensation_growth_pct: prev ? growthPct(h.officer_compensation, prev.officer_compensation) : null,
+    };
+  });
+}
+
+function trends(history) {
+  if (!history.length) return null;
+  const latest = history[history.length - 1];
+  const ratios = history.map(h => h.expense_ratio).filter(r => r !== null);
+  const compCagr = cagrPct(history, 'officer_compensation');
+
+  let compensationTrend = null;
+  if (compCagr !== null) {
+    compensationTrend = compCagr > 0.5 ? 'rising' : compCagr < -0.5 ? 'falling' : 'flat';
+  }
+
+  return {
+    years: history.length,
+    first_year: history[0].tax_year,
+    last_year: latest.tax_year,
+    revenue_growth_pct: latest.revenue_growth_pct,
+    revenue_cagr_pct: cagrPct(history, 'revenue'),
+    expense_ratio: latest.expense_ratio,
+    avg_expense_ratio: ratios.length ? round(ratios.reduce((a, b) => a + b, 0) / ratios.length, 4) : null,
+    compensation_cagr_pct: compCagr,
+    compensation_trend: compensationTrend,
+  };
+}
+
+module.exports = { withDerived, trends };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+// Upstream fingerprints for incremental runs, kept in
+// config.paths.fingerprints as { source: { fingerprint, recorded_at } }.
+// A scraper computes its fingerprint (content hash, ETag, period code,
+// filing years) as early as it can; with options.incremental it stops there
+// when the fingerprint matches the last successful run and its output file
+// still exists. normalize does the same over its input files and options.
+
+function hash(data) {
+  const input = Buffer.isBuffer(data) || typeof data === 'string' ? data : JSON.stringify(data);
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+// sha256 of a file's contents, or null when it doesn't exist
+function hashFile(file) {
+  return file && fs.existsSync(file) ? hash(fs.readFileSync(file)) : null;
+}
+
+function load(file = config.paths.fingerprints) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+}
+
+function save(fingerprints, file = config.paths.fingerprints) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fingerprints, null, 2) + '\n');
+}
+
+// True when options.incremental is set, the stored fingerprint for source
+// matches and every output file exists; logs the skip
+function unchanged(source, fingerprint, outputs, options = {}) {
+  if (!options.incremental) return false;
+  const stored = load()[source];
+  if (!stored || hash(stored.fingerprint) !== hash(fingerprint)) return false;
+  if (!outputs.every(file => fs.existsSync(file))) return false;
+  logger.info(source, `Inputs unchanged since ${stored.recorded_at}, skipping (--force to rerun)`);
+  return true;
+}
+
+// Stores the fingerprint after a successful run
+function record(source, fingerprint) {
+  const fingerprints = load();
+  fingerprints[source] = { fingerprint, recorded_at: new Date().toISOString() };
+  save(fingerprints);
+}
+
+module.exports = { hash, hashFile, load, unchanged, record };
@@ -0,0 +1,122 @@
+const cheerio = require('cheerio');
+
+// Executive compensation from an IRS Form 990 e-file (XML).
+//
+// Part VII Section A lists every officer, director, trustee and key employee
+// with reportable and other compensation. Schedule J breaks compensation down
+// into base, bonus, other, deferred and nontaxable benefits for the people
+// paid over the reporting threshold. Schedule J wins when both list a person.
+
+function num(val) {
+  if (val === undefined || val === null || String(val).trim() === '') return null;
+  const n = Number(String(val).trim());
+  return isNaN(n) ? null : n;
+}
+
+function sum(...vals) {
+  const present = vals.filter(v => v !== null);
+  return present.length ? present.reduce((a, b) => a + b, 0) : null;
+}
+
+function childText($el, ...tags) {
+  for (const tag of tags) {
+    const text = $el.find(tag).first().text().trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+function personName($el) {
+  return childText($el, 'PersonNm', 'BusinessNameLine1Txt', 'NamePerson');
+}
+
+// "Jane Q. Doe, MD (no compensation data available)" -> "jane doe"
+function nameKey(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/,.*$/, ' ')
+    .replace(/[^a-z\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !['jr', 'sr', 'ii', 'iii', 'iv', 'md', 'phd', 'mba', 'dr', 'mr', 'ms', 'mrs'].includes(w));
+  if (words.length === 0) return '';
+  return words.length === 1 ? words[0] : `${words[0]} ${words[words.length - 1]}`;
+}
+
+function partVii($) {
+  const people = [];
+  $('Form990PartVIISectionAGrp').each((i, el) => {
+    const $el = $(el);
+    const reportable = sum(num(childText($el, 'ReportableCompFromOrgAmt')), num(childText($el, 'ReportableCompFromRltdOrgAmt')));
+    const other = num(childText($el, 'OtherCompensationAmt'));
+    people.push({
+      name: personName($el),
+      title: childText($el, 'TitleTxt'),
+      base: null,
+      bonus: null,
+      other_compensation: other,
+      total: sum(reportable, other),
+      source: 'part_vii',
+    });
+  });
+  return people;
+}
+
+function scheduleJ($) {
+  const people = [];
+  $('IRS990ScheduleJ RltdOrgOfficerTrstKeyEmplGrp').each((i, el) => {
+    const $el = $(el);
+    const base = sum(num(childText($el, 'BaseCompensationFilingOrgAmt')), num(childText($el, 'CompensationBasedOnRltdOrgsAmt')));
+    const bonus = sum(num(childText($el, 'BonusFilingOrganizationAmount')), num(childText($el, 'BonusRelatedOrganizationsAmt')));
+    const other = sum(
+      num(childText($el, 'OtherCompensationFilingOrgAmt')), num(childText($el, 'OtherCompensationRltdOrgsAmt')),
+      num(childText($el, 'DeferredCompensationFlngOrgAmt')), num(childText($el, 'DeferredCompRltdOrgsAmt')),
+      num(childText($el, 'NontaxableBenefitsFilingOrgAmt')), num(childText($el, 'NontaxableBenefitsRltdOrgsAmt')),
+    );
+    const total = sum(num(childText($el, 'TotalCompensationFilingOrgAmt')), num(childText($el, 'TotalCompensationRltdOrgsAmt')));
+    people.push({
+      name: personName($el),
+      title: childText($el, 'TitleTxt'),
+      base,
+      bonus,
+      other_compensation: other,
+      total: total ?? sum(base, bonus, other),
+      source: 'schedule_j',
+    });
+  });
+  return people;
+}
+
+// Returns { tax_year, executives[] } with the highest paid first. People with
+// no compensation at all (most board members) are left out.
+function parseExecutives(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const detailed = scheduleJ($);
+  const seen = new Set(detailed.map(p => nameKey(p.name)));
+  const executives = [
+    ...detailed,
+    ...partVii($).filter(p => !seen.has(nameKey(p.name))),
+  ].filter(p => p.name && p.total);
+
+  executives.sort((a, b) => b.total - a.total);
+  return {
+    tax_year: num($('ReturnHeader TaxYr').first().text()),
+    executives,
+  };
+}
+
+const CEO_TITLE = /\b(ceo|chief executive|executive director)\b/i;
+
+// The executive matching a name (e.g. leadership.ceo); falls back to the
+// highest-paid person with a chief executive title. Returns { executive, match }.
+function findCeo(executives, ceoName) {
+  if (!executives?.length) return { executive: null, match: null };
+  const key = nameKey(ceoName);
+  const byName = key ? executives.find(e => nameKey(e.name) === key) : null;
+  if (byName) return { executive: byName, match: 'name' };
+  const byTitle = executives.find(e => CEO_TITLE.test(e.title || ''));
+  if (byTitle) return { executive: byTitle, match: 'title' };
+  return { executive: null, match: null };
+}
+
+module.exports = { parseExecutives, findCeo, nameKey };
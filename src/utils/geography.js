@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+const SOURCE = 'geography';
+
+// DSA service areas from the static files in src/geography:
+// - counties.json:     { counties: { fips: { name, state, area_sq_mi, geometry } } }
+// - dsa-counties.json: { dsas: { DSA: [fips, ...] } }, where a 2-digit state
+//                      FIPS code stands for every county of that state. Not
+//                      bundled; read when present
+// DSAs missing from the crosswalk fall back to opodata's region text when it
+// lists whole states only ("AL", "CO; WY"); partial states stay unresolved.
+
+function loadReference(dir = config.paths.geography) {
+  const read = file => {
+    const full = path.join(dir, file);
+    return fs.existsSync(full) ? JSON.parse(fs.readFileSync(full, 'utf-8')) : {};
+  };
+  return {
+    counties: read('counties.json').counties || {},
+    crosswalk: read('dsa-counties.json').dsas || {},
+  };
+}
+
+function countiesWhere(ref, test) {
+  return Object.keys(ref.counties).filter(fips => test(fips, ref.counties[fips]));
+}
+
+// "CO; WY: Eastern" -> null (WY is partial), "CA; NV" -> ['CA', 'NV']
+function wholeStates(region) {
+  if (!region) return null;
+  const parts = String(region).split(';').map(s => s.trim()).filter(Boolean);
+  if (!parts.length || parts.some(p => !/^[A-Z]{2}$/.test(p))) return null;
+  return parts;
+}
+
+// Returns { county_fips[], source } with source 'crosswalk', 'whole_states' or null
+function resolveCounties(opo, ref) {
+  const entries = ref.crosswalk[opo.dsa_code];
+  if (entries) {
+    const fips = new Set();
+    for (const code of entries) {
+      const str = String(code);
+      if (str.length === 2) countiesWhere(ref, f => f.startsWith(str)).forEach(f => fips.add(f));
+      else fips.add(str);
+    }
+    return { county_fips: [...fips].sort(), source: 'crosswalk' };
+  }
+
+  const states = wholeStates(opo.location?.region);
+  if (states) {
+    const fips = countiesWhere(ref, (f, county) => states.includes(county.state));
+    if (fips.length) return { county_fips: fips.sort(), source: 'whole_states' };
+  }
+  return { county_fips: [], source: null };
+}
+
+// Sum over the counties; null unless every county has a value
+function total(ref, fips, field) {
+  if (!fips.length) return null;
+  let sum = 0;
+  for (const f of fips) {
+    const val = ref.counties[f]?.[field];
+    if (typeof val !== 'number') return null;
+    sum += val;
+  }
+  return Math.round(sum * 100) / 100;
+}
+
+function serviceArea(opo, ref) {
+  const { county_fips: fips, source } = resolveCounties(opo, ref);
+  return {
+    states: opo.states_served || [],
+    county_fips: fips,
+    county_count: fips.length,
+    area_sq_mi: total(ref, fips, 'area_sq_mi'),
+    source,
+  };
+}
+
+// Adds service_area to each merged record in place; returns the DSA codes
+// that could not be resolved to counties.
+function applyServiceAreas(opos, ref = loadReference(), trackers = {}) {
+  const unresolved = [];
+  for (const opo of opos) {
+    opo.service_area = serviceArea(opo, ref);
+    if (!opo.service_area.source) unresolved.push(opo.dsa_code);
+    trackers[opo.dsa_code]?.recordAll('service_area', opo.service_area, null, 'derived');
+  }
+  if (unresolved.length) {
+    logger.warn(SOURCE, `No county coverage for ${unresolved.length} DSAs: ${unresolved.join(', ')}`);
+  }
+  return unresolved;
+}
+
+// County polygons merged into a single MultiPolygon (no dissolving)
+function dsaGeometry(fips, ref) {
+  const polygons = [];
+  for (const f of fips) {
+    const geometry = ref.counties[f]?.geometry;
+    if (geometry?.type === 'Polygon') polygons.push(geometry.coordinates);
+    else if (geometry?.type === 'MultiPolygon') polygons.push(...geometry.coordinates);
+  }
+  return polygons.length ? { type: 'MultiPolygon', coordinates: polygons } : null;
+}
+
+function toFeature(opo, ref) {
+  const area = opo.service_area || serviceArea(opo, ref);
+  return {
+    type: 'Feature',
+    id: opo.dsa_code,
+    geometry: dsaGeometry(area.county_fips, ref),
+    properties: {
+      dsa_code: opo.dsa_code,
+      name: opo.name,
+      states: area.states,
+      tier: opo.cms_status?.tier ?? null,
+      at_risk: opo.cms_status?.at_risk ?? null,
+      donors_recovered: opo.metrics?.donors_recovered ?? null,
+      donation_rate: opo.metrics?.donation_rate ?? null,
+      organs_transplanted_per_donor: opo.metrics?.organs_transplanted_per_donor ?? null,
+      observed_expected_ratio: opo.metrics?.observed_expected_ratio ?? null,
+      revenue: opo.financials?.revenue ?? null,
+      ceo_compensation: opo.financials?.ceo_compensation ?? null,
+      county_count: area.county_count,
+      area_sq_mi: area.area_sq_mi,
+      service_area_source: area.source,
+    },
+  };
+}
+
+function toGeoJSON(opos, ref = loadReference()) {
+  return {
+    type: 'FeatureCollection',
+    features: opos.map(opo => toFeature(opo, ref)),
+  };
+}
+
+module.exports = { loadReference, resolveCounties, serviceArea, applyServiceAreas, toGeoJSON };
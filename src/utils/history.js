@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+const SOURCE = 'history';
+const SNAPSHOT_FILES = [
+  ['raw', 'opodata.json'],
+  ['raw', 'propublica.json'],
+  ['raw', 'hrsa.json'],
+  ['raw', 'srtr.json'],
+  ['raw', 'cms-qcor.json'],
+  ['normalized', 'opos.json'],
+  ['normalized', 'metadata.json'],
+  ['normalized', 'transplant_centers.json'],
+  ['normalized', 'dsa.geojson'],
+  ['normalized', 'quality.json'],
+];
+
+// Snapshot IDs are filesystem-safe ISO timestamps, so they sort chronologically
+function snapshotId(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+function listSnapshots() {
+  const dir = config.paths.history;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}T/.test(name))
+    .sort();
+}
+
+function createSnapshot(date = new Date()) {
+  const id = snapshotId(date);
+  const dir = path.join(config.paths.history, id);
+  const dirs = { raw: config.paths.rawData, normalized: config.paths.normalizedData };
+  let copied = 0;
+
+  for (const [kind, file] of SNAPSHOT_FILES) {
+    const src = path.join(dirs[kind], file);
+    if (!fs.existsSync(src)) continue;
+    const dest = path.join(dir, kind, file);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(src, dest);
+    copied++;
+  }
+
+  logger.info(SOURCE, `Snapshot ${id}: ${copied} files`);
+  return id;
+}
+
+function loadSnapshot(id) {
+  const filePath = path.join(config.paths.history, id, 'normalized', 'opos.json');
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Snapshot ${id} has no normalized/opos.json`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, val] of Object.entries(obj || {})) {
+    if (key.startsWith('_')) continue;
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (val !== null && typeof val === 'object' && !Array.isArray(val)) {
+      flatten(val, fieldPath, out);
+    } else {
+      out[fieldPath] = val;
+    }
+  }
+  return out;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function centerCodes(opo) {
+  return (opo.relationships?.transplant_centers || []).map(tc => (typeof tc === 'string' ? tc : tc.code || tc.name));
+}
+
+function diffOpos(before, after) {
+  const fields = [];
+  const a = flatten(before);
+  const b = flatten(after);
+  for (const key of [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()) {
+    if (!same(a[key], b[key])) fields.push({ path: key, from: a[key] ?? null, to: b[key] ?? null });
+  }
+  return fields;
+}
+
+function diffSnapshots(fromId, toId) {
+  const fromData = loadSnapshot(fromId);
+  const toData = loadSnapshot(toId);
+  const fromIndex = Object.fromEntries(fromData.opos.map(o => [o.dsa_code, o]));
+  const toIndex = Object.fromEntries(toData.opos.map(o => [o.dsa_code, o]));
+
+  const report = {
+    from: fromId,
+    to: toId,
+    generated_at: new Date().toISOString(),
+    opos_added: [],
+    opos_removed: [],
+    tier_changes: [],
+    transplant_center_changes: [],
+    leadership_changes: [],
+    field_changes: {},
+  };
+
+  for (const code of Object.keys(toIndex).sort()) {
+    if (!fromIndex[code]) report.opos_added.push({ dsa_code: code, name: toIndex[code].name });
+  }
+  for (const code of Object.keys(fromIndex).sort()) {
+    if (!toIndex[code]) report.opos_removed.push({ dsa_code: code, name: fromIndex[code].name });
+  }
+
+  for (const code of Object.keys(toIndex).sort()) {
+    const before = fromIndex[code];
+    const after = toIndex[code];
+    if (!before) continue;
+
+    if (!same(before.cms_status?.tier, after.cms_status?.tier)) {
+      report.tier_changes.push({
+        dsa_code: code,
+        name: after.name,
+        from: before.cms_status?.tier ?? null,
+        to: after.cms_status?.tier ?? null,
+      });
+    }
+
+    const beforeCenters = centerCodes(before);
+    const afterCenters = centerCodes(after);
+    const added = afterCenters.filter(c => !beforeCenters.includes(c));
+    const removed = beforeCenters.filter(c => !afterCenters.includes(c));
+    if (added.length || removed.length) {
+      report.transplant_center_changes.push({ dsa_code: code, added, removed });
+    }
+
+    for (const [field, from, to] of [
+      ['leadership.ceo', before.leadership?.ceo, after.leadership?.ceo],
+      ['financials.ceo_compensation', before.financials?.ceo_compensation, after.financials?.ceo_compensation],
+    ]) {
+      if (!same(from, to)) report.leadership_changes.push({ dsa_code: code, field, from: from ?? null, to: to ?? null });
+    }
+
+    const fields = diffOpos(before, after);
+    if (fields.length) report.field_changes[code] = fields;
+  }
+
+  report.summary = {
+    opos_added: report.opos_added.length,
+    opos_removed: report.opos_removed.length,
+    tier_changes: report.tier_changes.length,
+    transplant_center_changes: report.transplant_center_changes.length,
+    leadership_changes: report.leadership_changes.length,
+    opos_with_field_changes: Object.keys(report.field_changes).length,
+  };
+
+  return report;
+}
+
+function fmt(val) {
+  if (val === null || val === undefined) return '—';
+  const str = typeof val === 'object' ? JSON.stringify(val) : String(val);
+  return (str.length > 80 ? `${str.slice(0, 77)}...` : str).replace(/\|/g, '\\|');
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `# OPO data changes: ${report.from} → ${report.to}`,
+    '',
+    `- OPOs added: ${report.summary.opos_added}`,
+    `- OPOs removed: ${report.summary.opos_removed}`,
+    `- Tier changes: ${report.summary.tier_changes}`,
+    `- Transplant center changes: ${report.summary.transplant_center_changes}`,
+    `- Leadership/compensation changes: ${report.summary.leadership_changes}`,
+    `- OPOs with any field change: ${report.summary.opos_with_field_changes}`,
+  ];
+
+  if (report.opos_added.length || report.opos_removed.length) {
+    lines.push('', '## OPOs added / removed', '');
+    for (const o of report.opos_added) lines.push(`- **+ ${o.dsa_code}** ${o.name}`);
+    for (const o of report.opos_removed) lines.push(`- **- ${o.dsa_code}** ${o.name}`);
+  }
+
+  if (report.tier_changes.length) {
+    lines.push('', '## Tier changes', '', '| DSA | Name | From | To |', '|---|---|---|---|');
+    for (const t of report.tier_changes) lines.push(`| ${t.dsa_code} | ${fmt(t.name)} | ${fmt(t.from)} | ${fmt(t.to)} |`);
+  }
+
+  if (report.transplant_center_changes.length) {
+    lines.push('', '## Transplant centers', '', '| DSA | Added | Removed |', '|---|---|---|');
+    for (const c of report.transplant_center_changes) {
+      lines.push(`| ${c.dsa_code} | ${c.added.join(', ') || '—'} | ${c.removed.join(', ') || '—'} |`);
+    }
+  }
+
+  if (report.leadership_changes.length) {
+    lines.push('', '## Leadership and compensation', '', '| DSA | Field | From | To |', '|---|---|---|---|');
+    for (const c of report.leadership_changes) lines.push(`| ${c.dsa_code} | ${c.field} | ${fmt(c.from)} | ${fmt(c.to)} |`);
+  }
+
+  const changed = Object.keys(report.field_changes);
+  if (changed.length) {
+    lines.push('', '## All field changes');
+    for (const code of changed) {
+      lines.push('', `### ${code}`, '', '| Field | From | To |', '|---|---|---|');
+      for (const f of report.field_changes[code]) lines.push(`| ${f.path} | ${fmt(f.from)} | ${fmt(f.to)} |`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// With no IDs, compares the two most recent snapshots; with only fromId,
+// compares it with the snapshot taken after it
+function writeDiff(fromId, toId) {
+  const snapshots = listSnapshots();
+  if (!fromId) {
+    if (snapshots.length < 2) {
+      throw new Error(`Need at least two snapshots in ${config.paths.history} to diff (found ${snapshots.length})`);
+    }
+    fromId = snapshots[snapshots.length - 2];
+    toId = snapshots[snapshots.length - 1];
+  } else if (!toId) {
+    toId = snapshots.find(id => id > fromId);
+    if (!toId) throw new Error(`No snapshot after ${fromId} in ${config.paths.history} to diff against`);
+  }
+  if (fromId === toId) throw new Error(`Cannot diff snapshot ${fromId} against itself`);
+
+  const report = diffSnapshots(fromId, toId);
+  const outDir = path.join(config.paths.history, 'diffs');
+  const base = path.join(outDir, `${fromId}_${toId}`);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.md`, renderMarkdown(report));
+
+  const s = report.summary;
+  logger.info(SOURCE, `Diff ${fromId} → ${toId}: +${s.opos_added}/-${s.opos_removed} OPOs, ${s.tier_changes} tier changes, ${s.transplant_center_changes} center changes, ${s.leadership_changes} leadership changes`);
+  logger.info(SOURCE, `Wrote ${base}.json and ${base}.md`);
+  return report;
+}
+
+module.exports = { createSnapshot, listSnapshots, loadSnapshot, diffSnapshots, renderMarkdown, writeDiff };
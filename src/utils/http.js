@@ -0,0 +1,270 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const runReport = require('./run-report');
+
+const SOURCE = 'http';
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// All scraper HTTP goes through get() so runs can be recorded and replayed.
+// - live:   network requests (with retries, per-host limits and the on-disk cache)
+// - record: like live, and every final response (including 4xx/5xx) is
+//           saved to the fixtures directory
+// - replay: responses are served from the fixtures directory, byte-for-byte;
+//           a request with no recorded fixture fails like a network error
+const state = {
+  mode: 'live',
+  fixturesDir: config.paths.fixtures,
+  cacheDir: config.paths.httpCache,
+  cache: true,
+};
+
+const limiters = {};
+
+function configure({ mode, fixturesDir, cacheDir, cache } = {}) {
+  if (mode) {
+    if (!['live', 'record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown HTTP mode: ${mode}`);
+    }
+    state.mode = mode;
+  }
+  if (fixturesDir) state.fixturesDir = path.resolve(fixturesDir);
+  if (cacheDir) state.cacheDir = path.resolve(cacheDir);
+  if (cache !== undefined) state.cache = cache;
+  if (state.mode !== 'live') {
+    logger.info(SOURCE, `HTTP ${state.mode} mode, fixtures in ${state.fixturesDir}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function urlKey(url) {
+  return crypto.createHash('sha256').update(`GET ${url}`).digest('hex').slice(0, 16);
+}
+
+function filesIn(dir, url) {
+  const key = urlKey(url);
+  return {
+    meta: path.join(dir, `${key}.json`),
+    body: path.join(dir, `${key}.body`),
+  };
+}
+
+function fixturePaths(url) {
+  return filesIn(state.fixturesDir, url);
+}
+
+// Mirror axios' default decoding: JSON when it parses, text otherwise
+function decode(buffer, responseType) {
+  if (responseType === 'arraybuffer') return buffer;
+  const text = buffer.toString('utf-8');
+  if (responseType === 'text') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function httpError(url, status, headers, data) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.url = url;
+  err.response = { status, headers, data };
+  return err;
+}
+
+function writeEntry(files, url, response, extra = {}) {
+  fs.mkdirSync(path.dirname(files.meta), { recursive: true });
+  fs.writeFileSync(files.body, Buffer.from(response.data || []));
+  fs.writeFileSync(files.meta, JSON.stringify({
+    url,
+    status: response.status,
+    headers: { ...response.headers },
+    ...extra,
+  }, null, 2));
+}
+
+function record(url, response) {
+  const files = fixturePaths(url);
+  writeEntry(files, url, response, {
+    recorded_at: new Date().toISOString(),
+    body_file: path.basename(files.body),
+  });
+  logger.debug(SOURCE, `Recorded ${response.status} ${url}`);
+}
+
+function replay(url, options) {
+  const files = fixturePaths(url);
+  if (!fs.existsSync(files.meta)) {
+    const err = new Error(`No recorded fixture for ${url}`);
+    err.url = url;
+    throw err;
+  }
+  const meta = JSON.parse(fs.readFileSync(files.meta, 'utf-8'));
+  const buffer = fs.readFileSync(files.body);
+  runReport.count('bytes_downloaded', buffer.length);
+  logger.debug(SOURCE, `Replayed ${meta.status} ${url}`);
+
+  if (meta.status >= 400) {
+    throw httpError(url, meta.status, meta.headers, decode(buffer, options.responseType));
+  }
+  return { status: meta.status, headers: meta.headers, data: decode(buffer, options.responseType) };
+}
+
+// --- On-disk response cache ---------------------------------------------
+
+function readCache(url) {
+  if (!state.cache) return null;
+  const files = filesIn(state.cacheDir, url);
+  if (!fs.existsSync(files.meta) || !fs.existsSync(files.body)) return null;
+  const meta = JSON.parse(fs.readFileSync(files.meta, 'utf-8'));
+  return { meta, files };
+}
+
+function writeCache(url, response) {
+  if (!state.cache || response.status !== 200) return;
+  writeEntry(filesIn(state.cacheDir, url), url, response, { stored_at: new Date().toISOString() });
+}
+
+function touchCache(cached) {
+  cached.meta.stored_at = new Date().toISOString();
+  fs.writeFileSync(cached.files.meta, JSON.stringify(cached.meta, null, 2));
+}
+
+function conditionalHeaders(cached) {
+  const headers = {};
+  if (cached?.meta.headers.etag) headers['If-None-Match'] = cached.meta.headers.etag;
+  if (cached?.meta.headers['last-modified']) headers['If-Modified-Since'] = cached.meta.headers['last-modified'];
+  return headers;
+}
+
+// --- Per-host concurrency and rate limiting ------------------------------
+
+function createLimiter({ concurrency, minInterval }) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+
+  async function next() {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    const wait = lastStart + minInterval - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastStart = Date.now();
+    try {
+      resolve(await fn());
+    } catch (err) {
+      reject(err);
+    } finally {
+      active--;
+      next();
+    }
+  }
+
+  return function schedule(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+function limiterFor(url) {
+  const host = new URL(url).host;
+  if (!limiters[host]) {
+    limiters[host] = createLimiter({
+      ...config.http.hostDefaults,
+      ...config.http.hosts[host],
+    });
+  }
+  return limiters[host];
+}
+
+// --- Retries --------------------------------------------------------------
+
+function isRetryable(err) {
+  if (!err.response) return err.code !== 'ERR_INVALID_URL';
+  return RETRY_STATUS.has(err.response.status);
+}
+
+function retryDelay(err, attempt) {
+  const retryAfter = err.response?.headers?.['retry-after'];
+  if (retryAfter && !isNaN(Number(retryAfter))) return Number(retryAfter) * 1000;
+  const base = config.http.retryBaseDelay * 2 ** attempt;
+  return base + Math.floor(Math.random() * base * 0.25);
+}
+
+async function fetchWithRetry(url, options, extraHeaders) {
+  const retries = options.retries ?? config.http.retries;
+  const schedule = limiterFor(url);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await schedule(() => axios.get(url, {
+        headers: { 'User-Agent': config.http.userAgent, ...options.headers, ...extraHeaders },
+        timeout: options.timeout,
+        responseType: 'arraybuffer',
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+      }));
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = retryDelay(err, attempt);
+      logger.warn(SOURCE, `${err.response?.status || err.code || err.message} for ${url}, retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Same call shape as axios.get(url, { responseType, headers, timeout }), plus:
+// - cacheTtl: ms a cached response is served without revalidating
+// - retries:  override config.http.retries
+async function get(url, options = {}) {
+  if (state.mode === 'replay') {
+    runReport.count('requests');
+    return replay(url, options);
+  }
+
+  const cached = readCache(url);
+  const ttl = options.cacheTtl ?? config.http.cacheTtl;
+  let response;
+
+  if (cached && Date.now() - new Date(cached.meta.stored_at).getTime() < ttl) {
+    logger.debug(SOURCE, `Cache hit ${url}`);
+    runReport.count('cache_hits');
+    response = { status: 200, headers: cached.meta.headers, data: fs.readFileSync(cached.files.body) };
+  } else {
+    try {
+      runReport.count('requests');
+      response = await fetchWithRetry(url, options, conditionalHeaders(cached));
+    } catch (err) {
+      if (state.mode === 'record' && err.response) record(url, err.response);
+      throw err;
+    }
+
+    if (response.status === 304 && cached) {
+      logger.debug(SOURCE, `Not modified ${url}`);
+      runReport.count('cache_hits');
+      touchCache(cached);
+      response = { status: 200, headers: cached.meta.headers, data: fs.readFileSync(cached.files.body) };
+    } else {
+      runReport.count('bytes_downloaded', Buffer.byteLength(response.data || ''));
+      writeCache(url, response);
+    }
+  }
+
+  if (state.mode === 'record') record(url, response);
+  const buffer = Buffer.from(response.data);
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: decode(buffer, options.responseType),
+  };
+}
+
+module.exports = { get, configure, fixturePaths };
@@ -0,0 +1,173 @@
+const config = require('../config');
+const logger = require('./logger');
+const registry = require('./registry');
+
+const SOURCE = 'lineage';
+
+// OPO lineage from the registry's successor links. A link's type is
+// 'merger' (the OPO was absorbed by another organization) or 'code_change'
+// (the same organization under a new DSA code). Code changes keep opo_id
+// stable; mergers keep both organizations' ids.
+
+function link(dsa, type, effective) {
+  return { dsa_code: dsa, name: registry.lookup(dsa)?.name ?? null, type, effective: effective ?? null };
+}
+
+// Direct predecessors: entries whose successor is dsa
+function predecessorsOf(dsa) {
+  const { opos } = registry.loadRegistry();
+  return Object.keys(opos)
+    .filter(other => opos[other].successor?.dsa_code === dsa)
+    .map(other => link(other, opos[other].successor.type, opos[other].successor.effective));
+}
+
+function successorOf(dsa) {
+  const successor = registry.lookup(dsa)?.successor;
+  return successor ? link(successor.dsa_code, successor.type, successor.effective) : null;
+}
+
+// Follows successor links to the organization that exists today
+function survivorOf(dsa) {
+  const seen = new Set([dsa]);
+  let current = dsa;
+  for (let next = successorOf(current); next && !seen.has(next.dsa_code); next = successorOf(current)) {
+    current = next.dsa_code;
+    seen.add(current);
+  }
+  return current;
+}
+
+// DSA codes the organization itself has used: dsa, then earlier codes
+// reached through code changes
+function codesOf(dsa) {
+  const codes = [dsa];
+  for (let i = 0; i < codes.length; i++) {
+    for (const p of predecessorsOf(codes[i])) {
+      if (p.type === 'code_change' && !codes.includes(p.dsa_code)) codes.push(p.dsa_code);
+    }
+  }
+  return codes;
+}
+
+// The earliest of those codes; opo_id is derived from it so a new code
+// doesn't mint a new id
+function originCode(dsa) {
+  const codes = codesOf(dsa);
+  return codes[codes.length - 1];
+}
+
+// Every predecessor, nearest first
+function ancestorsOf(dsa) {
+  const out = [];
+  const seen = new Set([dsa]);
+  const queue = [dsa];
+  while (queue.length) {
+    for (const p of predecessorsOf(queue.shift())) {
+      if (seen.has(p.dsa_code)) continue;
+      seen.add(p.dsa_code);
+      out.push(p);
+      queue.push(p.dsa_code);
+    }
+  }
+  return out;
+}
+
+function lineageFor(dsa) {
+  const entry = registry.lookup(dsa);
+  return {
+    former_names: (entry?.former_names || []).map(f => ({ name: f.name, until: f.until ?? null })),
+    predecessors: entry ? predecessorsOf(dsa) : [],
+    successor: entry ? successorOf(dsa) : null,
+    effective_from: entry?.effective_from ?? null,
+    effective_to: entry?.effective_to ?? null,
+  };
+}
+
+function getPath(obj, fieldPath) {
+  return fieldPath.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+function setPath(obj, fieldPath, val) {
+  const keys = fieldPath.split('.');
+  const parent = keys.slice(0, -1).reduce((o, key) => (o[key] = o[key] || {}), obj);
+  parent[keys[keys.length - 1]] = val;
+}
+
+// Year-keyed values up to the year the link took effect
+function upTo(series, effective) {
+  const cutoff = Number(effective.slice(0, 4));
+  return Object.fromEntries(Object.entries(series || {}).filter(([year, val]) => Number(year) <= cutoff && val !== null));
+}
+
+// Rolls each predecessor's year-keyed fields onto the survivor:
+// lineage.rolled_up[field][DSA] keeps the predecessor's series, and a
+// code_change predecessor (the same organization) also fills the years the
+// survivor's own series lacks. A link without an effective date has no
+// cutoff, so that predecessor, and anything that reaches the survivor
+// through it, is skipped with a warning.
+function rollUp(record, byDsa, prov) {
+  const rolledUp = {};
+  const ownCodes = codesOf(record.dsa_code);
+  const undated = new Set();
+  for (const ancestor of ancestorsOf(record.dsa_code)) {
+    const via = registry.lookup(ancestor.dsa_code).successor.dsa_code;
+    if (!ancestor.effective || undated.has(via)) {
+      undated.add(ancestor.dsa_code);
+      if (byDsa[ancestor.dsa_code]) {
+        logger.warn(SOURCE, `Not rolling ${ancestor.dsa_code} history onto ${record.dsa_code}: ${undated.has(via) ? `the link from ${via}` : `its ${ancestor.type}`} has no effective date in the registry`);
+      }
+      continue;
+    }
+    const source = byDsa[ancestor.dsa_code];
+    if (!source) continue;
+    const sameOrg = ownCodes.includes(ancestor.dsa_code);
+    for (const field of config.lineage.rollupFields) {
+      const series = upTo(getPath(source, field), ancestor.effective);
+      if (!Object.keys(series).length) continue;
+      (rolledUp[field] = rolledUp[field] || {})[ancestor.dsa_code] = series;
+      prov?.recordAll(`lineage.rolled_up.${field}.${ancestor.dsa_code}`, series, null, 'derived');
+      if (!sameOrg) continue;
+      const own = { ...(getPath(record, field) || {}) };
+      for (const [year, val] of Object.entries(series)) {
+        if (own[year] !== null && own[year] !== undefined) continue;
+        own[year] = val;
+        prov?.record(`${field}.${year}`, null, 'derived');
+      }
+      setPath(record, field, own);
+    }
+  }
+  return rolledUp;
+}
+
+// Adds lineage to each merged record in place. With options.rollup, year-keyed
+// history from predecessors present in the dataset is rolled onto survivors.
+// Returns the number of records that received rolled-up history.
+function applyLineage(records, trackers = {}, options = {}) {
+  const byDsa = Object.fromEntries(records.map(r => [r.dsa_code, r]));
+  let rolled = 0;
+  for (const record of records) {
+    record.lineage = lineageFor(record.dsa_code);
+    trackers[record.dsa_code]?.recordAll('lineage', record.lineage, null, 'derived');
+  }
+  if (options.rollup) {
+    for (const record of records) {
+      const rolledUp = rollUp(record, byDsa, trackers[record.dsa_code]);
+      if (!Object.keys(rolledUp).length) continue;
+      record.lineage.rolled_up = rolledUp;
+      rolled++;
+    }
+    logger.info(SOURCE, `Rolled predecessor history onto ${rolled} OPO(s)`);
+  }
+  return rolled;
+}
+
+module.exports = {
+  predecessorsOf,
+  successorOf,
+  survivorOf,
+  codesOf,
+  originCode,
+  ancestorsOf,
+  lineageFor,
+  applyLineage,
+};
@@ -5,24 +5,80 @@ const PREFIX = {
   debug: '[DEBUG]',
 };
 
+const STREAM = {
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+  debug: 'log',
+};
+
+// 'text' prints one human-readable line per entry; 'json' prints one JSON
+// object per line: { ts, level, source, event, msg, ...fields }, with msg
+// left out of named events
+const state = {
+  format: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+};
+
+const listeners = new Set();
+
 function timestamp() {
   return new Date().toISOString();
 }
 
+function configure({ format } = {}) {
+  if (format) {
+    if (!['text', 'json'].includes(format)) {
+      throw new Error(`Unknown log format: ${format}`);
+    }
+    state.format = format;
+  }
+}
+
+// Calls fn(entry) for every entry written; returns a function that unsubscribes
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function formatFields(fields) {
+  return Object.entries(fields)
+    .map(([key, val]) => `${key}=${typeof val === 'object' && val !== null ? JSON.stringify(val) : val}`)
+    .join(' ');
+}
+
+function write(level, source, event, msg, fields = {}) {
+  const entry = { ts: timestamp(), level, source, event, ...(msg === null ? {} : { msg }), ...fields };
+  for (const fn of listeners) fn(entry);
+  if (level === 'debug' && !process.env.DEBUG) return;
+
+  if (state.format === 'json') {
+    console[STREAM[level]](JSON.stringify(entry));
+    return;
+  }
+  const extra = Object.keys(fields).length ? ` ${formatFields(fields)}` : '';
+  const text = event === 'log' ? `${msg}${fields.error ? ': ' + fields.error : ''}` : `${event}${msg ? ` ${msg}` : ''}${extra}`;
+  console[STREAM[level]](`${entry.ts} ${PREFIX[level]} [${source}] ${text}`);
+}
+
 const logger = {
+  configure,
+  subscribe,
   info(source, msg) {
-    console.log(`${timestamp()} ${PREFIX.info} [${source}] ${msg}`);
+    write('info', source, 'log', msg);
   },
   warn(source, msg) {
-    console.warn(`${timestamp()} ${PREFIX.warn} [${source}] ${msg}`);
+    write('warn', source, 'log', msg);
   },
   error(source, msg, err) {
-    console.error(`${timestamp()} ${PREFIX.error} [${source}] ${msg}${err ? ': ' + err.message : ''}`);
+    write('error', source, 'log', msg, err ? { error: err.message } : {});
   },
   debug(source, msg) {
-    if (process.env.DEBUG) {
-      console.log(`${timestamp()} ${PREFIX.debug} [${source}] ${msg}`);
-    }
+    write('debug', source, 'log', msg);
+  },
+  // A named event with structured fields (durations, counts), e.g.
+  // event('main', 'step_finished', { step: 'hrsa', duration_ms: 812 })
+  event(source, event, fields = {}, level = 'info') {
+    write(level, source, event, null, fields);
   },
 };
 
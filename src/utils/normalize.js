@@ -2,8 +2,21 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('./logger');
+const { createTracker, sourceMeta } = require('./provenance');
+const { checkOutput } = require('./validate');
+const financials = require('./financials');
+const { findCeo } = require('./form990');
+const { loadCatalog } = require('./srtr-catalog');
+const { centersFromRaw, centerCodes } = require('./transplant-centers');
+const { applySharedEins } = require('./parents');
+const { loadReference, applyServiceAreas, toGeoJSON } = require('./geography');
+const { runChecks } = require('./quality');
+const registry = require('./registry');
+const { applyLineage } = require('./lineage');
+const fingerprint = require('./fingerprint');
 
 const SOURCE = 'normalize';
+const RAW_SOURCES = ['opodata', 'propublica', 'hrsa', 'srtr', 'cms-qcor'];
 
 function loadRawData(source) {
   const filePath = path.join(config.paths.rawData, `${source}.json`);
@@ -11,63 +24,192 @@ function loadRawData(source) {
   return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
 }
 
+// Rows are keyed by the registry's DSA for their provider number or code, so
+// raw files written before a code change still line up with the base
 function buildIndex(opos) {
   const index = {};
   for (const opo of opos) {
-    index[opo.dsa_code] = opo;
+    const dsa = (opo.provider_number && registry.dsaForProvider(opo.provider_number)) || registry.dsaForCode(opo.dsa_code) || opo.dsa_code;
+    index[dsa] = opo;
   }
   return index;
 }
 
-function mergeFinancials(opo, propublicaEntry) {
+function mergeFinancials(opo, propublicaEntry, prov = createTracker()) {
   if (!propublicaEntry) return opo.financials;
+  const p = propublicaEntry;
+  const year = p.tax_year ?? null;
+  const history = p.history?.length ? financials.withDerived(p.history) : null;
+  const trends = history ? financials.trends(history) : null;
+  prov.recordAll('financials.trends', trends, history ? 'propublica' : null, history ? 'derived' : 'none', year);
+
+  // The CEO figure is the Form 990 executive matching leadership.ceo, not the
+  // total paid to all current officers
+  const execYear = p.executives_tax_year ?? year;
+  const { executive: ceo, match } = findCeo(p.executives, opo.leadership?.ceo);
+  prov.recordAll('financials.ceo_match', null, ceo ? 'propublica' : null, ceo ? 'derived' : 'none', execYear);
   return {
-    revenue: propublicaEntry.revenue ?? opo.financials.revenue,
-    expenses: propublicaEntry.expenses ?? opo.financials.expenses,
-    oac_per_organ: propublicaEntry.oac_per_organ ?? opo.financials.oac_per_organ,
-    ceo_compensation: propublicaEntry.ceo_compensation ?? opo.financials.ceo_compensation,
-    assets: propublicaEntry.assets ?? null,
-    tax_year: propublicaEntry.tax_year ?? null,
+    revenue: prov.pick('financials.revenue', ['propublica', p.revenue, year], ['opodata', opo.financials.revenue]),
+    expenses: prov.pick('financials.expenses', ['propublica', p.expenses, year], ['opodata', opo.financials.expenses]),
+    oac_per_organ: prov.pick('financials.oac_per_organ', ['propublica', p.oac_per_organ, year], ['opodata', opo.financials.oac_per_organ]),
+    ceo_compensation: prov.pick('financials.ceo_compensation', ['propublica', ceo?.total, execYear], ['opodata', opo.financials.ceo_compensation]),
+    ceo_match: ceo ? match : null,
+    officer_compensation_total: prov.pick('financials.officer_compensation_total', ['propublica', p.officer_compensation, year]),
+    executives: prov.pick('financials.executives', ['propublica', p.executives?.length ? p.executives : null, execYear]),
+    executives_tax_year: prov.pick('financials.executives_tax_year', ['propublica', p.executives_tax_year, execYear]),
+    assets: prov.pick('financials.assets', ['propublica', p.assets, year]),
+    tax_year: prov.pick('financials.tax_year', ['propublica', p.tax_year, year]),
+    history: prov.pick('financials.history', ['propublica', history, year]),
+    trends,
   };
 }
 
-function mergeLocation(opo, hrsaEntry) {
+function mergeLocation(opo, hrsaEntry, prov = createTracker()) {
   if (!hrsaEntry) return opo.location;
   return {
     state: opo.location.state,
-    city: hrsaEntry.city ?? opo.location.city,
-    address: hrsaEntry.address ?? null,
-    phone: hrsaEntry.phone ?? null,
+    city: prov.pick('location.city', ['hrsa', hrsaEntry.city], ['opodata', opo.location.city]),
+    address: prov.pick('location.address', ['hrsa', hrsaEntry.address]),
+    phone: prov.pick('location.phone', ['hrsa', hrsaEntry.phone]),
     region: opo.location.region,
   };
 }
 
-function mergeMetrics(opo, srtrEntry) {
+// SRTR table catalog groups (referrals, yield, donor_type, ...) pass through as-is
+function catalogGroups(srtrEntry, prov) {
+  const groups = {};
+  for (const group of new Set(loadCatalog().map(e => e.field.split('.')[0]))) {
+    if (!srtrEntry[group]) continue;
+    groups[group] = srtrEntry[group];
+    prov.recordAll(`metrics.${group}`, groups[group], 'srtr', 'precedence');
+  }
+  return groups;
+}
+
+function mergeMetrics(opo, srtrEntry, prov = createTracker()) {
   if (!srtrEntry) return opo.metrics;
+  const s = srtrEntry;
+  const m = opo.metrics;
   return {
     ...opo.metrics,
-    conversion_rate: srtrEntry.conversion_rate ?? opo.metrics.conversion_rate,
-    donation_rate: srtrEntry.donation_rate ?? opo.metrics.donation_rate,
-    transplantation_rate: srtrEntry.transplantation_rate ?? opo.metrics.transplantation_rate,
-    organs_transplanted_per_donor: srtrEntry.organs_transplanted_per_donor ?? null,
-    observed_expected_ratio: srtrEntry.observed_expected_ratio ?? null,
-    observed_expected_by_organ: srtrEntry.observed_expected_by_organ ?? null,
-    total_donors_srtr: srtrEntry.total_donors ?? null,
+    conversion_rate: prov.pick('metrics.conversion_rate', ['srtr', s.conversion_rate], ['opodata', m.conversion_rate]),
+    donation_rate: prov.pick('metrics.donation_rate', ['srtr', s.donation_rate], ['opodata', m.donation_rate]),
+    transplantation_rate: prov.pick('metrics.transplantation_rate', ['srtr', s.transplantation_rate], ['opodata', m.transplantation_rate]),
+    organs_transplanted_per_donor: prov.pick('metrics.organs_transplanted_per_donor', ['srtr', s.organs_transplanted_per_donor]),
+    observed_expected_ratio: prov.pick('metrics.observed_expected_ratio', ['srtr', s.observed_expected_ratio]),
+    observed_expected_by_organ: prov.pick('metrics.observed_expected_by_organ', ['srtr', s.observed_expected_by_organ]),
+    total_donors_srtr: prov.pick('metrics.total_donors_srtr', ['srtr', s.total_donors]),
+    ...catalogGroups(s, prov),
     discard_rates: {
-      kidney: srtrEntry.discard_rates?.kidney ?? opo.metrics.discard_rates.kidney,
-      liver: srtrEntry.discard_rates?.liver ?? opo.metrics.discard_rates.liver,
-      heart: srtrEntry.discard_rates?.heart ?? opo.metrics.discard_rates.heart,
-      lung: srtrEntry.discard_rates?.lung ?? opo.metrics.discard_rates.lung,
+      kidney: prov.pick('metrics.discard_rates.kidney', ['srtr', s.discard_rates?.kidney], ['opodata', m.discard_rates.kidney]),
+      liver: prov.pick('metrics.discard_rates.liver', ['srtr', s.discard_rates?.liver], ['opodata', m.discard_rates.liver]),
+      heart: prov.pick('metrics.discard_rates.heart', ['srtr', s.discard_rates?.heart], ['opodata', m.discard_rates.heart]),
+      lung: prov.pick('metrics.discard_rates.lung', ['srtr', s.discard_rates?.lung], ['opodata', m.discard_rates.lung]),
     },
   };
 }
 
-function mergeTransplantCenters(opo, hrsaEntry) {
-  if (!hrsaEntry?.transplant_centers?.length) return opo.relationships.transplant_centers;
-  return hrsaEntry.transplant_centers;
+function latestTierYear(tierHistory) {
+  const years = Object.keys(tierHistory || {})
+    .filter(y => tierHistory[y] !== null && tierHistory[y] !== undefined)
+    .map(Number)
+    .sort((a, b) => b - a);
+  return years.length ? years[0] : null;
 }
 
-async function run() {
+function mergeCmsStatus(opo, cmsEntry, prov = createTracker()) {
+  const opodataTier = opo.cms_status.tier;
+  const cmsTier = cmsEntry?.latest_tier ?? null;
+  const cmsYear = cmsEntry ? latestTierYear(cmsEntry.tier_history) : null;
+  const tier = prov.pick('cms_status.tier', ['cms-qcor', cmsTier, cmsYear], ['opodata', opodataTier]);
+  const tierSource = prov.sourceOf('cms_status.tier');
+  const fromCms = tierSource === 'cms-qcor';
+  const a = cmsEntry?.assessment || {};
+
+  const status = {
+    tier,
+    cycle_year: fromCms ? cmsYear : opo.cms_status.cycle_year,
+    at_risk: tier !== null ? tier >= 2 : null,
+    tier_source: tierSource,
+    opodata_tier: opodataTier,
+    cms_tier: cmsTier,
+    // opodata.org lags CMS releases, so flag OPOs where the two disagree
+    tier_mismatch: cmsTier !== null && opodataTier !== null && cmsTier !== opodataTier,
+    tier_history: cmsEntry?.tier_history ?? null,
+    donation_rate_categories: cmsEntry?.donation_rate_categories ?? null,
+    transplant_rate_categories: cmsEntry?.transplant_rate_categories ?? null,
+    assessment: {
+      donation_rate: a.donation_rate ?? null,
+      donation_rate_upper_ci: a.donation_rate_upper_ci ?? null,
+      donation_rate_category: a.donation_rate_category ?? null,
+      expected_transplant_rate: a.expected_transplant_rate ?? null,
+      observed_transplant_rate: a.observed_transplant_rate ?? null,
+      age_adjusted_transplant_rate: a.age_adjusted_transplant_rate ?? null,
+      transplant_rate_upper_ci: a.transplant_rate_upper_ci ?? null,
+      transplant_rate_category: a.transplant_rate_category ?? null,
+    },
+    assessment_year: cmsEntry?.assessment_year ?? null,
+    assessments: cmsEntry?.assessments ?? null,
+  };
+
+  for (const field of ['cycle_year', 'at_risk', 'tier_source', 'tier_mismatch']) {
+    prov.record(`cms_status.${field}`, tierSource, 'derived', fromCms ? cmsYear : null);
+  }
+  prov.record('cms_status.opodata_tier', 'opodata', 'precedence');
+  prov.record('cms_status.cms_tier', cmsEntry ? 'cms-qcor' : null, cmsEntry ? 'precedence' : 'none', cmsYear);
+  for (const field of ['tier_history', 'donation_rate_categories', 'transplant_rate_categories', 'assessment', 'assessment_year', 'assessments']) {
+    prov.recordAll(`cms_status.${field}`, status[field], cmsEntry ? 'cms-qcor' : null, cmsEntry ? 'precedence' : 'none', cmsYear);
+  }
+
+  return status;
+}
+
+// OPO records reference centers by OTC code; the entities themselves are
+// written to transplant_centers.json
+function mergeTransplantCenters(opo, hrsaEntry, prov = createTracker()) {
+  const hrsaCodes = centerCodes(hrsaEntry);
+  const baseCodes = (opo.relationships.transplant_centers || []).map(tc => (typeof tc === 'string' ? tc : tc.code));
+  return prov.pick('relationships.transplant_centers',
+    ['hrsa', hrsaCodes.length ? hrsaCodes : null],
+    ['opodata', baseCodes]);
+}
+
+// Everything the output depends on: raw files, registry, geography and
+// catalog files, plus the options and config that shape the merge
+function inputFingerprint(options, precedence) {
+  const files = [
+    ...RAW_SOURCES.map(source => path.join(config.paths.rawData, `${source}.json`)),
+    config.paths.registry,
+    path.join(config.paths.geography, 'counties.json'),
+    path.join(config.paths.geography, 'dsa-counties.json'),
+    config.sources.srtr.catalogFile,
+  ].filter(Boolean);
+  return {
+    files: Object.fromEntries(files.map(file => [path.relative(config.paths.root, file), fingerprint.hashFile(file)])),
+    options: {
+      provenance: options.provenance || 'sidecar',
+      allocate_financials: options.allocateFinancials || null,
+      rollup_lineage: !!options.rollupLineage,
+      // Custom precedence rules are functions; hash their source
+      precedence: fingerprint.hash(JSON.stringify(precedence, (key, val) => (typeof val === 'function' ? val.toString() : val))),
+    },
+    config: fingerprint.hash({ quality: config.quality, lineage: config.lineage }),
+  };
+}
+
+// options.provenance: 'sidecar' (default) writes provenance.json next to
+// opos.json, 'inline' embeds a _provenance map in each OPO, 'none' skips it.
+// options.strict: fail instead of warning on schema violations.
+// options.incremental: return null without writing when no input changed
+// since the last run.
+async function run(options = {}) {
+  const provenanceMode = options.provenance || 'sidecar';
+  // options.precedence: per-field rules layered over config.precedence
+  const precedence = { ...config.precedence, ...options.precedence };
+
+  const inputs = inputFingerprint(options, precedence);
+  if (fingerprint.unchanged(SOURCE, inputs, [path.join(config.paths.normalizedData, 'opos.json')], options)) return null;
+
   // Load base data (opodata.org)
   const opodataRaw = loadRawData('opodata');
   if (!opodataRaw) {
@@ -88,6 +230,15 @@ async function run() {
   const srtrIndex = srtrRaw ? buildIndex(srtrRaw.opos) : {};
   const cmsIndex = cmsRaw ? buildIndex(cmsRaw.opos) : {};
 
+  const sourceMetas = {
+    opodata: sourceMeta(opodataRaw),
+    propublica: sourceMeta(propublicaRaw),
+    hrsa: sourceMeta(hrsaRaw),
+    srtr: sourceMeta(srtrRaw, srtrRaw?.metadata?.period_code ?? null),
+    'cms-qcor': sourceMeta(cmsRaw),
+  };
+  const provenance = {};
+  const trackers = {};
   // Track coverage stats
   const coverage = {
     opodata: 0,
@@ -96,6 +247,7 @@ async function run() {
     srtr: 0,
     'cms-qcor': 0,
   };
+  const tierMismatches = [];
 
   const merged = opos.map(opo => {
     const dsa = opo.dsa_code;
@@ -111,21 +263,64 @@ async function run() {
     if (srtr) coverage.srtr++;
     if (cms) coverage['cms-qcor']++;
 
-    return {
+    const prov = createTracker(sourceMetas, precedence);
+    trackers[dsa] = prov;
+    const cmsStatus = mergeCmsStatus(opo, cms, prov);
+    if (cmsStatus.tier_mismatch) tierMismatches.push(`${dsa} (opodata=${cmsStatus.opodata_tier}, cms=${cmsStatus.cms_tier})`);
+
+    const record = {
       ...opo,
-      location: mergeLocation(opo, hrsa),
-      financials: mergeFinancials(opo, propublica),
-      metrics: mergeMetrics(opo, srtr),
+      location: mergeLocation(opo, hrsa, prov),
+      cms_status: cmsStatus,
+      financials: mergeFinancials(opo, propublica, prov),
+      metrics: mergeMetrics(opo, srtr, prov),
       relationships: {
         ...opo.relationships,
-        transplant_centers: mergeTransplantCenters(opo, hrsa),
+        transplant_centers: mergeTransplantCenters(opo, hrsa, prov),
       },
-      ein: propublica?.ein ?? null,
+      ein: prov.pick('ein', ['propublica', propublica?.ein, propublica?.tax_year]),
+      identity: registry.identity(dsa),
     };
+    prov.recordAll('identity', record.identity, null, 'derived');
+    return record;
   });
 
   merged.sort((a, b) => a.dsa_code.localeCompare(b.dsa_code));
 
+  // Fields where the sources disagreed, counted per field path
+  const conflicts = {};
+  const conflictCounts = {};
+  for (const record of merged) {
+    const found = trackers[record.dsa_code].conflicts();
+    if (!found.length) continue;
+    conflicts[record.dsa_code] = found;
+    for (const c of found) {
+      conflictCounts[c.field] = (conflictCounts[c.field] || 0) + 1;
+      logger.debug(SOURCE, `${record.dsa_code} ${c.field}: ${JSON.stringify(c.values)}, using ${c.chosen}`);
+    }
+  }
+
+  // Group DSAs that share a parent EIN (and optionally split its financials)
+  const parents = applySharedEins(merged, { allocate: options.allocateFinancials, trackers });
+
+  // Resolve each DSA to its counties and area
+  const geography = loadReference();
+  const unresolvedDsas = applyServiceAreas(merged, geography, trackers);
+
+  // Former names and predecessor/successor links; options.rollupLineage also
+  // carries predecessors' year-keyed history onto the surviving OPO
+  applyLineage(merged, trackers, { rollup: options.rollupLineage });
+
+  // Cross-source consistency checks, written to quality.json
+  const quality = runChecks(opos, { hrsa: hrsaIndex, propublica: propublicaIndex, srtr: srtrIndex, cms: cmsIndex });
+
+  if (provenanceMode !== 'none') {
+    for (const record of merged) {
+      provenance[record.dsa_code] = trackers[record.dsa_code].finalize(record);
+      if (provenanceMode === 'inline') record._provenance = provenance[record.dsa_code];
+    }
+  }
+
   // Write normalized output
   const outDir = config.paths.normalizedData;
   fs.mkdirSync(outDir, { recursive: true });
@@ -141,19 +336,74 @@ async function run() {
         srtr: { count: coverage.srtr, pct: `${Math.round((coverage.srtr / merged.length) * 100)}%` },
         'cms-qcor': { count: coverage['cms-qcor'], pct: `${Math.round((coverage['cms-qcor'] / merged.length) * 100)}%` },
       },
+      tier_mismatches: tierMismatches.length,
+      merge_conflicts: conflictCounts,
+      shared_eins: parents.length,
+      financial_allocation: options.allocateFinancials || null,
+      lineage_rollup: !!options.rollupLineage,
+      unresolved_service_areas: unresolvedDsas.length,
+      quality: { error: quality.summary.error, warning: quality.summary.warning, info: quality.summary.info },
     },
+    parent_organizations: parents,
     opos: merged,
   };
 
+  checkOutput(SOURCE, 'opos', output, options);
+
+  const transplantCenters = centersFromRaw(hrsaRaw);
+  const centersOutput = {
+    metadata: {
+      generated_at: output.metadata.generated_at,
+      source: hrsaRaw?.metadata?.source ?? null,
+      fetched_at: hrsaRaw?.metadata?.fetched_at ?? null,
+      total_centers: transplantCenters.length,
+      shared_centers: transplantCenters.filter(c => c.opos.length > 1).length,
+    },
+    transplant_centers: transplantCenters,
+  };
+  checkOutput(SOURCE, 'transplant-centers', centersOutput, options);
+
+  const qualityOutput = { generated_at: output.metadata.generated_at, ...quality };
+  checkOutput(SOURCE, 'quality', qualityOutput, options);
+
   fs.writeFileSync(path.join(outDir, 'opos.json'), JSON.stringify(output, null, 2));
 
   // Write metadata separately for quick reference
   fs.writeFileSync(path.join(outDir, 'metadata.json'), JSON.stringify(output.metadata, null, 2));
 
+  fs.writeFileSync(path.join(outDir, 'transplant_centers.json'), JSON.stringify(centersOutput, null, 2));
+
+  fs.writeFileSync(path.join(outDir, 'quality.json'), JSON.stringify(qualityOutput, null, 2));
+
+  fs.writeFileSync(path.join(outDir, 'dsa.geojson'), JSON.stringify(toGeoJSON(merged, geography)));
+
+  if (provenanceMode === 'sidecar') {
+    fs.writeFileSync(path.join(outDir, 'provenance.json'), JSON.stringify({
+      generated_at: output.metadata.generated_at,
+      sources: sourceMetas,
+      conflicts,
+      opos: provenance,
+    }, null, 2));
+  }
+
+  fingerprint.record(SOURCE, inputs);
   logger.info(SOURCE, `Wrote ${merged.length} normalized OPOs`);
+  if (Object.keys(conflictCounts).length > 0) {
+    logger.info(SOURCE, `Source conflicts (resolved by precedence): ${Object.entries(conflictCounts).map(([field, n]) => `${field}=${n}`).join(', ')}`);
+  }
+  if (tierMismatches.length > 0) {
+    logger.warn(SOURCE, `Tier mismatch between opodata.org and CMS: ${tierMismatches.join(', ')}`);
+  }
   logger.info(SOURCE, `Coverage: opodata=${coverage.opodata}, propublica=${coverage.propublica}, hrsa=${coverage.hrsa}, srtr=${coverage.srtr}, cms-qcor=${coverage['cms-qcor']}`);
 
   return output;
 }
 
-module.exports = { run };
+module.exports = {
+  run,
+  mergeFinancials,
+  mergeLocation,
+  mergeMetrics,
+  mergeCmsStatus,
+  mergeTransplantCenters,
+};
@@ -0,0 +1,162 @@
+const logger = require('./logger');
+const { findCeo } = require('./form990');
+const { parentName } = require('./registry');
+
+const SOURCE = 'normalize';
+
+// Some parent organizations file a single Form 990 for several DSAs, so every
+// member gets the parent's full figures from ProPublica. Members are grouped by
+// EIN, flagged as shared, and optionally given a weighted share of the parent
+// financials so totals across OPOs reconcile with the filing.
+const ALLOCATION_BASES = {
+  donors: opo => opo.metrics?.donors_recovered ?? null,
+  eligible_deaths: opo => {
+    const values = Object.values(opo.demographics?.eligible_deaths || {}).filter(v => typeof v === 'number');
+    return values.length ? values.reduce((a, b) => a + b, 0) : null;
+  },
+};
+
+// Organization-level money. ceo_compensation is one person's pay, so every
+// member keeps the parent's full figure rather than a share of it.
+const MONEY_FIELDS = ['revenue', 'expenses', 'assets', 'officer_compensation_total'];
+const HISTORY_MONEY_FIELDS = [
+  'revenue', 'expenses', 'assets', 'liabilities', 'net_assets',
+  'officer_compensation', 'contributions', 'program_revenue', 'investment_income',
+];
+
+// The filer's own CEO from the shared return's executives, by title. Members'
+// ceo_compensation may be another member's CEO (matched by name) or an
+// opodata.org figure, so none of them stands for the parent.
+function filerCeoCompensation(members) {
+  const executives = members.find(o => o.financials?.executives?.length)?.financials.executives;
+  return findCeo(executives, null).executive?.total ?? null;
+}
+
+// Round each share to whole dollars; the last member absorbs the rounding so
+// the parts always add back up to the parent figure.
+function split(val, shares) {
+  if (typeof val !== 'number') return shares.map(() => val);
+  const parts = shares.map(s => Math.round(val * s));
+  parts[parts.length - 1] = val - parts.slice(0, -1).reduce((a, b) => a + b, 0);
+  return parts;
+}
+
+function groupByEin(opos) {
+  const groups = {};
+  for (const opo of opos) {
+    if (!opo.ein) continue;
+    (groups[opo.ein] = groups[opo.ein] || []).push(opo);
+  }
+  return Object.entries(groups)
+    .filter(([, members]) => members.length > 1)
+    .map(([ein, members]) => ({ ein: Number(ein), members }));
+}
+
+// Shares proportional to the basis; equal shares if any member lacks a weight
+function allocationShares(members, basis) {
+  const weights = members.map(ALLOCATION_BASES[basis]);
+  const total = weights.reduce((a, b) => a + (b || 0), 0);
+  if (weights.some(w => w === null) || total <= 0) {
+    return { basis: 'equal', shares: members.map(() => 1 / members.length) };
+  }
+  return { basis, shares: weights.map(w => w / total) };
+}
+
+// Returns the allocated money fields (and history) for each share
+function allocate(financials, shares) {
+  const out = shares.map(() => ({}));
+  for (const field of MONEY_FIELDS) {
+    split(financials[field], shares).forEach((val, i) => { out[i][field] = val; });
+  }
+  if (financials.history) {
+    out.forEach(f => { f.history = financials.history.map(h => ({ ...h })); });
+    financials.history.forEach((h, j) => {
+      for (const field of HISTORY_MONEY_FIELDS) {
+        split(h[field], shares).forEach((val, i) => { out[i].history[j][field] = val; });
+      }
+    });
+  }
+  return out;
+}
+
+// Mutates the merged records in place and returns the parent entities.
+// options.allocate: null (flag only), 'donors' or 'eligible_deaths'.
+// options.trackers: provenance trackers keyed by DSA code.
+function applySharedEins(opos, options = {}) {
+  const basis = options.allocate || null;
+  if (basis && !ALLOCATION_BASES[basis]) {
+    throw new Error(`Unknown allocation basis: ${basis} (expected ${Object.keys(ALLOCATION_BASES).join(' or ')})`);
+  }
+  const trackers = options.trackers || {};
+
+  for (const opo of opos) {
+    opo.parent_organization = null;
+    if (opo.financials) opo.financials.shared_financials = false;
+  }
+
+  const parents = [];
+  for (const { ein, members } of groupByEin(opos)) {
+    const memberDsas = members.map(o => o.dsa_code).sort();
+    const first = members[0].financials || {};
+    const parent = {
+      ein,
+      name: parentName(ein),
+      member_dsas: memberDsas,
+      tax_year: first.tax_year ?? null,
+      revenue: first.revenue ?? null,
+      expenses: first.expenses ?? null,
+      assets: first.assets ?? null,
+      ceo_compensation: filerCeoCompensation(members),
+      allocation_basis: null,
+    };
+
+    let shares = null;
+    let allocated = null;
+    if (basis) {
+      const result = allocationShares(members, basis);
+      if (result.basis !== basis) {
+        logger.warn(SOURCE, `EIN ${ein}: missing ${basis} for some of ${memberDsas.join(', ')}, splitting equally`);
+      }
+      parent.allocation_basis = result.basis;
+      shares = result.shares;
+      allocated = allocate(first, shares);
+    }
+
+    members.forEach((opo, i) => {
+      const prov = trackers[opo.dsa_code];
+      opo.parent_organization = { ein, name: parent.name, member_dsas: memberDsas };
+      opo.financials = { ...opo.financials, shared_financials: true };
+      if (shares) {
+        const share = Math.round(shares[i] * 10000) / 10000;
+        opo.financials = { ...opo.financials, ...allocated[i], allocation: { basis: parent.allocation_basis, share } };
+        if (prov) {
+          for (const field of MONEY_FIELDS) prov.recordAll(`financials.${field}`, opo.financials[field], 'propublica', 'derived', parent.tax_year);
+          prov.recordAll('financials.history', opo.financials.history, 'propublica', 'derived', parent.tax_year);
+          prov.recordAll('financials.allocation', opo.financials.allocation, null, 'derived');
+        }
+      }
+      if (prov) {
+        prov.recordAll('parent_organization', opo.parent_organization, 'propublica', 'derived', parent.tax_year);
+        prov.recordAll('financials.shared_financials', true, 'propublica', 'derived', parent.tax_year);
+      }
+    });
+
+    parents.push(parent);
+  }
+
+  for (const opo of opos) {
+    const prov = trackers[opo.dsa_code];
+    if (prov && !opo.parent_organization) {
+      prov.recordAll('parent_organization', null, null, 'derived');
+      if (opo.financials) prov.recordAll('financials.shared_financials', false, null, 'derived');
+    }
+  }
+
+  parents.sort((a, b) => a.ein - b.ein);
+  if (parents.length) {
+    logger.info(SOURCE, `Shared EINs: ${parents.map(p => `${p.ein} (${p.member_dsas.join(', ')})`).join('; ')}`);
+  }
+  return parents;
+}
+
+module.exports = { applySharedEins, allocationShares, ALLOCATION_BASES };
@@ -0,0 +1,118 @@
+// Source precedence for the merge step. Rules come from config.precedence,
+// keyed by dotted field path; a path ending in ".*" covers every field below
+// it and the longest match wins. Fields without a rule keep the candidate
+// order written in normalize.js. A rule is one of:
+// - ['hrsa', 'opodata']                        first listed source with a value wins
+// - { strategy: 'newest', sources? }           the candidate with the latest period wins
+// - { strategy: 'most_complete', sources? }    the candidate with the most non-null leaves wins
+// - { strategy: 'custom', resolve, sources? }  resolve(candidates, fieldPath) returns the
+//                                              winning candidate, its source name, or a
+//                                              new { source, value } (e.g. a union)
+// `sources` limits and orders the candidates; unlisted sources are dropped.
+// Ties under newest/most_complete go to the earlier source.
+
+const STRATEGIES = ['order', 'newest', 'most_complete', 'custom'];
+
+function isPresent(val) {
+  return val !== null && val !== undefined;
+}
+
+function normalizeRule(rule, fieldPath) {
+  if (!rule) return { strategy: 'order', sources: null };
+  if (Array.isArray(rule)) return { strategy: 'order', sources: rule };
+  if (typeof rule === 'function') return { strategy: 'custom', resolve: rule, sources: null };
+  const strategy = rule.strategy || 'order';
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown precedence strategy for ${fieldPath}: ${strategy} (expected ${STRATEGIES.join(', ')})`);
+  }
+  if (strategy === 'custom' && typeof rule.resolve !== 'function') {
+    throw new Error(`Custom precedence rule for ${fieldPath} needs a resolve function`);
+  }
+  return { ...rule, strategy, sources: rule.sources || null };
+}
+
+function ruleFor(fieldPath, rules = {}) {
+  if (rules[fieldPath]) return normalizeRule(rules[fieldPath], fieldPath);
+  let best = null;
+  for (const key of Object.keys(rules)) {
+    if (!key.endsWith('.*')) continue;
+    const prefix = key.slice(0, -1);
+    if (fieldPath.startsWith(prefix) && (!best || key.length > best.length)) best = key;
+  }
+  return normalizeRule(best ? rules[best] : null, fieldPath);
+}
+
+// Periods are tax/cycle years (2023), SRTR YYMM release codes ("2505") or
+// ISO dates; all map to a comparable YYYYMM number
+function periodKey(period) {
+  if (typeof period === 'number') return period * 100 + 12;
+  const str = String(period ?? '');
+  let m = str.match(/^(\d{4})-(\d{2})/);
+  if (m) return Number(m[1]) * 100 + Number(m[2]);
+  m = str.match(/^(\d{2})(\d{2})$/);
+  if (m) return (2000 + Number(m[1])) * 100 + Number(m[2]);
+  return null;
+}
+
+function completeness(val) {
+  if (!isPresent(val)) return 0;
+  if (Array.isArray(val)) return val.length;
+  if (typeof val === 'object') return Object.values(val).reduce((n, v) => n + completeness(v), 0);
+  return 1;
+}
+
+function maxBy(items, score) {
+  let best = items[0];
+  let bestScore = score(best);
+  for (const item of items.slice(1)) {
+    const s = score(item);
+    if (s !== null && (bestScore === null || s > bestScore)) {
+      best = item;
+      bestScore = s;
+    }
+  }
+  return best;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// candidates: [{ source, value, period }] in the default order; sources: the
+// per-source { period } metadata. Returns null when no candidate has a value,
+// otherwise { winner, preferred, derived, conflicts }: preferred says whether
+// the winner is the rule's first-ranked source, derived that a custom resolver
+// built a new value, and conflicts lists the present candidates when they disagree.
+function choose(fieldPath, candidates, rules, sources = {}) {
+  const rule = ruleFor(fieldPath, rules);
+  const ordered = rule.sources
+    ? rule.sources.map(s => candidates.find(c => c.source === s)).filter(Boolean)
+    : candidates;
+  const present = ordered.filter(c => isPresent(c.value));
+  if (!present.length) return null;
+
+  let winner;
+  if (rule.strategy === 'newest') {
+    winner = maxBy(present, c => periodKey(c.period ?? sources[c.source]?.period));
+  } else if (rule.strategy === 'most_complete') {
+    winner = maxBy(present, c => completeness(c.value));
+  } else if (rule.strategy === 'custom') {
+    const result = rule.resolve(present, fieldPath);
+    if (typeof result === 'string') winner = present.find(c => c.source === result);
+    else if (present.includes(result)) winner = result;
+    else if (result && 'value' in result) return { winner: result, preferred: false, derived: true, conflicts: null };
+    if (!winner) return null;
+  } else {
+    winner = present[0];
+  }
+
+  return {
+    winner,
+    preferred: winner === ordered[0],
+    derived: false,
+    // An empty list or object carries no information, so it can't disagree
+    conflicts: present.some(c => completeness(c.value) > 0 && !same(c.value, winner.value)) ? present : null,
+  };
+}
+
+module.exports = { choose, ruleFor, periodKey };
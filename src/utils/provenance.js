@@ -0,0 +1,106 @@
+// Per-field provenance for the merge step.
+//
+// Each normalized OPO gets a flat map of dotted leaf paths to where the value
+// came from: { source, fetched_at, period, rule }. Rules:
+// - precedence: the highest-precedence source had a value
+// - fallback:   a lower-precedence source filled in for a missing value
+// - derived:    computed from other merged fields
+// - base:       carried over unchanged from the opodata.org base record
+// - none:       no source had a value
+
+const { choose } = require('./precedence');
+
+function sourceMeta(raw, period = null) {
+  if (!raw) return null;
+  return {
+    fetched_at: raw.metadata?.fetched_at ?? null,
+    period,
+  };
+}
+
+function isPresent(val) {
+  return val !== null && val !== undefined;
+}
+
+function isLeaf(val) {
+  return val === null || typeof val !== 'object' || Array.isArray(val);
+}
+
+// rules: source precedence per field path (see precedence.js)
+function createTracker(sources = {}, rules = {}) {
+  const fields = {};
+  const conflicts = [];
+
+  function record(fieldPath, source, rule, period) {
+    const meta = source ? sources[source] : null;
+    fields[fieldPath] = {
+      source: source ?? null,
+      fetched_at: meta?.fetched_at ?? null,
+      period: period ?? meta?.period ?? null,
+      rule,
+    };
+  }
+
+  // candidates: [source, value, period?] in default precedence order; the
+  // field's precedence rule may reorder them or pick by period/completeness
+  function pick(fieldPath, ...candidates) {
+    const choice = choose(fieldPath, candidates.map(([source, value, period]) => ({ source, value, period })), rules, sources);
+    if (!choice) {
+      record(fieldPath, null, 'none');
+      return null;
+    }
+    const { winner } = choice;
+    recordAll(fieldPath, winner.value, winner.source, choice.derived ? 'derived' : choice.preferred ? 'precedence' : 'fallback', winner.period);
+    if (choice.conflicts) {
+      conflicts.push({
+        field: fieldPath,
+        chosen: winner.source ?? null,
+        values: Object.fromEntries(choice.conflicts.map(c => [c.source, c.value])),
+      });
+    }
+    return winner.value;
+  }
+
+  // Source of a picked field, or null if none had a value
+  function sourceOf(fieldPath) {
+    return fields[fieldPath]?.source ?? null;
+  }
+
+  // Record every leaf of an object that a single source supplied wholesale
+  function recordAll(prefix, obj, source, rule, period) {
+    if (isLeaf(obj)) {
+      record(prefix, source, rule, period);
+      return;
+    }
+    for (const [key, val] of Object.entries(obj)) {
+      recordAll(`${prefix}.${key}`, val, source, rule, period);
+    }
+  }
+
+  // Fill in leaves nobody recorded (they came straight from the base record)
+  // and drop entries for paths that no longer exist in the final record.
+  function finalize(opo) {
+    const out = {};
+    (function walk(obj, prefix) {
+      for (const [key, val] of Object.entries(obj)) {
+        if (key.startsWith('_')) continue;
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        if (fields[fieldPath] || isLeaf(val)) {
+          out[fieldPath] = fields[fieldPath] || {
+            source: 'opodata',
+            fetched_at: sources.opodata?.fetched_at ?? null,
+            period: sources.opodata?.period ?? null,
+            rule: 'base',
+          };
+        } else {
+          walk(val, fieldPath);
+        }
+      }
+    })(opo, '');
+    return out;
+  }
+
+  return { record, pick, recordAll, finalize, sourceOf, conflicts: () => conflicts };
+}
+
+module.exports = { createTracker, sourceMeta };
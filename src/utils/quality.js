@@ -0,0 +1,169 @@
+const config = require('../config');
+const logger = require('./logger');
+const { einFor, parentName, namesFor } = require('./registry');
+
+const SOURCE = 'quality';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Letter-bigram Dice coefficient over names with punctuation, corporate
+// suffixes and filler words removed: 1 for identical names, 0 for nothing shared.
+const NAME_NOISE = /\b(inc|incorporated|corp|corporation|co|the|of|and|for|dba)\b/g;
+
+function bigrams(name) {
+  const str = String(name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9 ]/g, ' ')
+    .replace(NAME_NOISE, ' ').replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < str.length - 1; i++) grams.push(str.slice(i, i + 2));
+  return grams;
+}
+
+function nameSimilarity(a, b) {
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (!x.length || !y.length) return 0;
+  const counts = new Map();
+  for (const g of x) counts.set(g, (counts.get(g) || 0) + 1);
+  let shared = 0;
+  for (const g of y) {
+    if (counts.get(g) > 0) {
+      shared++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  }
+  return Math.round((2 * shared / (x.length + y.length)) * 100) / 100;
+}
+
+// Each rule gets { opo (raw opodata entry), hrsa, propublica, srtr, cms } and
+// returns null or { message, values, severity? }.
+const RULES = [
+  {
+    id: 'hrsa_state_not_served',
+    severity: 'warning',
+    check: ({ opo, hrsa }) => {
+      if (!hrsa?.state || !opo.states_served?.length || opo.states_served.includes(hrsa.state)) return null;
+      return {
+        message: `HRSA state ${hrsa.state} is not among opodata states served (${opo.states_served.join(', ')})`,
+        values: { hrsa: hrsa.state, opodata: opo.states_served },
+      };
+    },
+  },
+  {
+    id: 'tier_mismatch',
+    severity: 'warning',
+    check: ({ opo, cms }) => {
+      const opodataTier = opo.cms_status?.tier ?? null;
+      const cmsTier = cms?.latest_tier ?? null;
+      if (opodataTier === null || cmsTier === null || opodataTier === cmsTier) return null;
+      return {
+        message: `opodata tier ${opodataTier} disagrees with CMS latest tier ${cmsTier}`,
+        values: { opodata: opodataTier, cms: cmsTier },
+      };
+    },
+  },
+  {
+    id: 'ein_from_search',
+    severity: 'info',
+    check: ({ opo, propublica }) => {
+      // Raw files from before ein_source only had the registry to go by
+      const fromSearch = propublica?.ein_source ? propublica.ein_source === 'search' : !einFor(opo.dsa_code);
+      if (!propublica?.ein || !fromSearch) return null;
+      return {
+        message: `EIN ${propublica.ein} was auto-accepted from a ProPublica name search (confidence ${propublica.ein_confidence ?? 'unknown'})`,
+        values: { ein: propublica.ein, confidence: propublica.ein_confidence ?? null },
+      };
+    },
+  },
+  {
+    // Catches a wrong EIN in the registry, the overrides file or a search
+    id: 'ein_name_mismatch',
+    severity: 'warning',
+    check: ({ opo, propublica }) => {
+      if (!propublica?.org_name) return null;
+      // 990s are often filed under a former or parent name
+      const names = [opo.name, ...namesFor(opo.dsa_code), parentName(propublica.ein)].filter(Boolean);
+      const score = Math.max(...names.map(name => nameSimilarity(name, propublica.org_name)));
+      const { warning, error } = config.quality.nameSimilarity;
+      if (score >= warning) return null;
+      return {
+        severity: score < error ? 'error' : 'warning',
+        message: `ProPublica organization "${propublica.org_name}" (EIN ${propublica.ein}) does not look like "${opo.name}" (similarity ${score})`,
+        values: { opo_name: opo.name, org_name: propublica.org_name, ein: propublica.ein, similarity: score },
+      };
+    },
+  },
+  {
+    id: 'discard_rate_out_of_range',
+    severity: 'error',
+    check: ({ srtr }) => {
+      const bad = Object.entries(srtr?.discard_rates || {}).filter(([, v]) => typeof v === 'number' && (v < 0 || v > 100));
+      if (!bad.length) return null;
+      return {
+        message: `SRTR discard rate outside 0-100: ${bad.map(([organ, v]) => `${organ}=${v}`).join(', ')}`,
+        values: Object.fromEntries(bad),
+      };
+    },
+  },
+  {
+    // SRTR counts donors over a multi-year cohort; compare its annual average
+    id: 'donor_count_mismatch',
+    severity: 'warning',
+    check: ({ opo, srtr }) => {
+      const opodataDonors = opo.metrics?.donors_recovered;
+      const srtrDonors = srtr?.total_donors;
+      if (typeof opodataDonors !== 'number' || typeof srtrDonors !== 'number' || opodataDonors <= 0) return null;
+      const { srtrCohortYears, donorCountTolerance } = config.quality;
+      const annual = srtrDonors / srtrCohortYears;
+      const diff = Math.abs(annual - opodataDonors) / opodataDonors;
+      if (diff <= donorCountTolerance) return null;
+      return {
+        message: `opodata donors_recovered ${opodataDonors} vs SRTR ${srtrDonors} donors over ${srtrCohortYears} years (${Math.round(annual)}/yr, ${Math.round(diff * 100)}% apart)`,
+        values: { opodata: opodataDonors, srtr: srtrDonors, srtr_annual: Math.round(annual * 10) / 10 },
+      };
+    },
+  },
+];
+
+// sources: { hrsa, propublica, srtr, cms } indexes keyed by DSA code.
+// Returns { summary, findings[] } with findings ordered by severity, then DSA.
+function runChecks(opos, sources = {}) {
+  const findings = [];
+
+  for (const opo of opos) {
+    const dsa = opo.dsa_code;
+    const ctx = {
+      opo,
+      hrsa: sources.hrsa?.[dsa],
+      propublica: sources.propublica?.[dsa],
+      srtr: sources.srtr?.[dsa],
+      cms: sources.cms?.[dsa],
+    };
+    for (const rule of RULES) {
+      const result = rule.check(ctx);
+      if (!result) continue;
+      findings.push({
+        rule: rule.id,
+        severity: result.severity || rule.severity,
+        dsa_code: dsa,
+        message: result.message,
+        values: result.values ?? null,
+      });
+    }
+  }
+
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.dsa_code.localeCompare(b.dsa_code) || a.rule.localeCompare(b.rule));
+
+  const summary = { total: findings.length, error: 0, warning: 0, info: 0, by_rule: {} };
+  for (const rule of RULES) summary.by_rule[rule.id] = 0;
+  for (const f of findings) {
+    summary[f.severity]++;
+    summary.by_rule[f.rule]++;
+  }
+
+  if (findings.length) {
+    logger.warn(SOURCE, `${summary.error} errors, ${summary.warning} warnings, ${summary.info} info across ${new Set(findings.map(f => f.dsa_code)).size} DSAs`);
+  }
+  return { summary, findings };
+}
+
+module.exports = { runChecks, nameSimilarity, RULES };
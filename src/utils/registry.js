@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { checkOutput } = require('./validate');
+
+const SOURCE = 'registry';
+
+// OPO identity crosswalk (src/registry/crosswalk.json), keyed by DSA code:
+//   { name, former_names[{ name, until }], unos_code, provider_numbers[], ein,
+//     ein_note, successor: { dsa_code, type, effective }, effective_from, effective_to }
+// plus parent_organizations: { ein: { name } } for EINs that file one 990
+// for several DSAs. Scrapers and normalize resolve HRSA provider numbers,
+// OPTN codes and EINs through here instead of keeping their own tables.
+
+const RAW_SOURCES = ['opodata', 'hrsa', 'srtr', 'cms-qcor', 'propublica'];
+
+let cache = null;
+
+function buildIndex(opos, field) {
+  const index = {};
+  for (const [dsa, entry] of Object.entries(opos)) {
+    const values = Array.isArray(entry[field]) ? entry[field] : [entry[field]];
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+      (index[value] = index[value] || []).push(dsa);
+    }
+  }
+  return index;
+}
+
+function loadRegistry(file = config.paths.registry) {
+  if (cache && cache.file === file) return cache.registry;
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  checkOutput(SOURCE, 'registry', data, { strict: true });
+  const registry = {
+    opos: data.opos,
+    parents: data.parent_organizations || {},
+    byProvider: buildIndex(data.opos, 'provider_numbers'),
+    byCode: buildIndex(data.opos, 'unos_code'),
+    byEin: buildIndex(data.opos, 'ein'),
+  };
+  cache = { file, registry };
+  return registry;
+}
+
+// Registry dates are YYYY-MM-DD, or YYYY-MM / YYYY when only the month or
+// year is known; a partial date covers the whole month or year
+function dateBound(date, end) {
+  if (!date || date.length === 10) return date;
+  return date.length === 7 ? `${date}-${end ? '31' : '01'}` : `${date}-${end ? '12-31' : '01-01'}`;
+}
+
+function activeOn(entry, date) {
+  const from = dateBound(entry.effective_from, false);
+  const to = dateBound(entry.effective_to, true);
+  return (!from || from <= date) && (!to || to >= date);
+}
+
+// A provider number or code reused after a merger maps to several entries;
+// the one in effect on `date` (YYYY-MM-DD, default today) wins
+function pickActive(dsas, registry, date) {
+  if (!dsas?.length) return null;
+  if (dsas.length === 1) return dsas[0];
+  const day = date || new Date().toISOString().slice(0, 10);
+  return dsas.find(dsa => activeOn(registry.opos[dsa], day)) ?? null;
+}
+
+function lookup(dsa) {
+  return loadRegistry().opos[dsa] ?? null;
+}
+
+// HRSA/CMS provider number ("01P001") -> DSA code, or null when unmapped
+function dsaForProvider(providerNumber, date) {
+  const registry = loadRegistry();
+  return pickActive(registry.byProvider[providerNumber], registry, date);
+}
+
+// OPTN member code as used by SRTR, CMS and opodata.org -> DSA code
+function dsaForCode(code, date) {
+  const registry = loadRegistry();
+  return pickActive(registry.byCode[code], registry, date);
+}
+
+// Rewrites each row's dsa_code to the registry's DSA for that OPTN code.
+// Codes the registry doesn't know are kept as-is and returned.
+function resolveCodes(source, opos) {
+  const unmapped = [];
+  for (const opo of opos) {
+    const dsa = dsaForCode(opo.dsa_code);
+    if (dsa) opo.dsa_code = dsa;
+    else unmapped.push(opo.dsa_code);
+  }
+  if (unmapped.length) {
+    logger.warn(source, `OPO codes not in the registry (kept as-is): ${unmapped.join(', ')}`);
+  }
+  return unmapped;
+}
+
+function einFor(dsa) {
+  return lookup(dsa)?.ein ?? null;
+}
+
+function parentName(ein) {
+  return loadRegistry().parents[ein]?.name ?? null;
+}
+
+// Every name an OPO has filed or been listed under, current name first
+function namesFor(dsa) {
+  const entry = lookup(dsa);
+  return entry ? [entry.name, ...entry.former_names.map(f => f.name)] : [];
+}
+
+// Registry identifiers carried into the normalized record; null for DSAs
+// the registry doesn't know (names and links are in lineage.js)
+function identity(dsa) {
+  const entry = lookup(dsa);
+  if (!entry) return null;
+  return { unos_code: entry.unos_code, provider_numbers: entry.provider_numbers };
+}
+
+function loadRaw(source) {
+  const file = path.join(config.paths.rawData, `${source}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+// Identifiers in one raw file: [{ type, value, dsa_code, name }]
+function rawIdentifiers(source, raw) {
+  const ids = [];
+  for (const opo of raw.opos || []) {
+    ids.push({ type: 'code', value: opo.dsa_code, dsa_code: opo.dsa_code, name: opo.name ?? null });
+    if (opo.provider_number) ids.push({ type: 'provider_number', value: opo.provider_number, dsa_code: opo.dsa_code, name: opo.name ?? null });
+    if (opo.ein) ids.push({ type: 'ein', value: opo.ein, dsa_code: opo.dsa_code, name: opo.org_name ?? null });
+  }
+  for (const entry of raw.metadata?.unmapped_provider_numbers || []) {
+    ids.push({ type: 'provider_number', value: entry.provider_number, dsa_code: null, name: entry.name ?? null });
+  }
+  for (const center of raw.transplant_centers || []) {
+    for (const num of center.provider_numbers || []) {
+      ids.push({ type: 'provider_number', value: num, dsa_code: null, name: null });
+    }
+  }
+  return ids;
+}
+
+const INDEX_FOR = { code: 'byCode', provider_number: 'byProvider', ein: 'byEin' };
+
+// --validate-registry: checks the latest raw files against the registry.
+// Reports identifiers no entry claims (unmapped), identifiers claimed by
+// more than one current entry (doubly_mapped; shared parent EINs excepted),
+// and raw rows whose DSA disagrees with the registry (mismatch).
+function validateRaw(sources = RAW_SOURCES) {
+  const registry = loadRegistry();
+  const findings = [];
+  const seen = new Set();
+  const add = finding => {
+    const key = [finding.kind, finding.source, finding.type, finding.value].join('|');
+    if (!seen.has(key)) {
+      seen.add(key);
+      findings.push(finding);
+    }
+  };
+
+  for (const [type, indexName] of Object.entries(INDEX_FOR)) {
+    for (const [value, dsas] of Object.entries(registry[indexName])) {
+      if (dsas.length < 2 || (type === 'ein' && registry.parents[value])) continue;
+      const current = dsas.filter(dsa => !registry.opos[dsa].successor && !registry.opos[dsa].effective_to);
+      if (current.length > 1) add({ kind: 'doubly_mapped', source: 'registry', type, value: String(value), dsa_codes: current });
+    }
+  }
+
+  const checked = [];
+  for (const source of sources) {
+    const raw = loadRaw(source);
+    if (!raw) continue;
+    checked.push(source);
+
+    const rowsPerDsa = {};
+    for (const opo of raw.opos || []) rowsPerDsa[opo.dsa_code] = (rowsPerDsa[opo.dsa_code] || 0) + 1;
+    for (const [dsa, count] of Object.entries(rowsPerDsa)) {
+      if (count > 1) add({ kind: 'doubly_mapped', source, type: 'code', value: dsa, dsa_codes: [dsa] });
+    }
+
+    for (const id of rawIdentifiers(source, raw)) {
+      const dsas = registry[INDEX_FOR[id.type]][id.value] || [];
+      if (!dsas.length) {
+        add({ kind: 'unmapped', source, type: id.type, value: String(id.value), dsa_codes: id.dsa_code ? [id.dsa_code] : [], name: id.name });
+      } else if (id.dsa_code && !dsas.includes(id.dsa_code)) {
+        add({ kind: 'mismatch', source, type: id.type, value: String(id.value), dsa_codes: [id.dsa_code, ...dsas], name: id.name });
+      }
+    }
+  }
+
+  const summary = { total: findings.length, unmapped: 0, doubly_mapped: 0, mismatch: 0 };
+  for (const f of findings) summary[f.kind]++;
+
+  logger.info(SOURCE, `Checked ${checked.join(', ') || 'no raw files'}: ${summary.unmapped} unmapped, ${summary.doubly_mapped} doubly mapped, ${summary.mismatch} mismatched`);
+  for (const f of findings) {
+    const log = f.kind === 'unmapped' ? logger.warn : logger.error;
+    log(SOURCE, `  ${f.kind} ${f.type} ${f.value} in ${f.source}${f.dsa_codes.length ? ` (${f.dsa_codes.join(', ')})` : ''}${f.name ? `: ${f.name}` : ''}`);
+  }
+  return { sources: checked, summary, findings };
+}
+
+module.exports = {
+  loadRegistry,
+  lookup,
+  dsaForProvider,
+  dsaForCode,
+  resolveCodes,
+  einFor,
+  parentName,
+  namesFor,
+  identity,
+  validateRaw,
+};
@@ -0,0 +1,86 @@
+const cheerio = require('cheerio');
+const http = require('./http');
+const logger = require('./logger');
+
+// Release discovery for sources that publish dated workbooks (SRTR, CMS QCOR).
+// A candidate is { id, sortKey, url }; sortKey is a YYYYMM string so the
+// newest release sorts last regardless of how the publisher names it.
+
+// Collect links from a publisher's listing page. toCandidate(href) returns a
+// candidate for links that look like a release file, or null to ignore it.
+async function fromListing(source, listingUrl, toCandidate, options = {}) {
+  if (!listingUrl) return [];
+  try {
+    const { data } = await http.get(listingUrl, { responseType: 'text', timeout: options.timeout });
+    const $ = cheerio.load(data);
+    const found = {};
+    $('a[href]').each((i, el) => {
+      const href = new URL($(el).attr('href'), listingUrl).href;
+      const candidate = toCandidate(href);
+      if (candidate) found[candidate.id] = candidate;
+    });
+    const candidates = Object.values(found);
+    logger.info(source, `Listing page ${listingUrl}: ${candidates.length} release link(s)`);
+    return candidates;
+  } catch (err) {
+    logger.warn(source, `Listing page ${listingUrl} unavailable: ${err.message}`);
+    return [];
+  }
+}
+
+// Months from `now` back `count` months, newest first, as { year, month }
+function recentMonths(now, count) {
+  const months = [];
+  for (let i = 0; i < count; i++) {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    months.push({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 });
+  }
+  return months;
+}
+
+function sortNewestFirst(candidates) {
+  const byId = {};
+  for (const c of candidates) byId[c.id] = byId[c.id] || c;
+  return Object.values(byId).sort((a, b) => b.sortKey.localeCompare(a.sortKey));
+}
+
+// Try candidates newest first and return the first one that downloads, along
+// with what was considered and why the newer ones were rejected. When none of
+// them downloads (a listing page linking a moved or withdrawn file), the
+// fallback candidates are tried next, newest first.
+async function pickRelease(source, candidates, download, fallback = []) {
+  const ordered = sortNewestFirst(candidates);
+  const listed = new Set(ordered.map(c => c.id));
+  const extra = sortNewestFirst(fallback).filter(c => !listed.has(c.id));
+  const primaryCount = ordered.length;
+  const rejected = [];
+
+  for (let i = 0; i < primaryCount + extra.length; i++) {
+    if (i === primaryCount) {
+      logger.warn(source, `No candidate release downloaded, trying ${extra.length} enumerated candidate(s)`);
+      ordered.push(...extra);
+    }
+    const candidate = ordered[i];
+    try {
+      logger.info(source, `Trying release ${candidate.id}: ${candidate.url}`);
+      const data = await download(candidate.url);
+      return {
+        data,
+        release: {
+          chosen: candidate.id,
+          url: candidate.url,
+          discovery: candidate.discovery,
+          candidates: ordered.map(c => c.id),
+          rejected,
+        },
+      };
+    } catch (err) {
+      logger.warn(source, `Release ${candidate.id} not available: ${err.message}`);
+      rejected.push({ id: candidate.id, url: candidate.url, reason: err.message });
+    }
+  }
+
+  throw new Error(`No release available (tried ${ordered.length} candidate(s))`);
+}
+
+module.exports = { fromListing, recentMonths, pickRelease };
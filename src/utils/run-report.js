@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { checkOutput } = require('./validate');
+
+const SOURCE = 'run-report';
+
+// Per-step accounting for one pipeline run, written to config.paths.runReport.
+// track() runs a step (a scraper, normalization, exports) with its stats as
+// the async context, so counts from shared code (http.get's bytes and cache
+// hits) and warnings logged under any source land on the step that caused
+// them, even with scrapers running concurrently.
+const context = new AsyncLocalStorage();
+
+logger.subscribe(entry => {
+  const step = context.getStore();
+  if (step && entry.level === 'warn') step.warnings.push({ source: entry.source, message: entry.msg });
+});
+
+// Adds n to a counter of the step running in the current async context;
+// a no-op outside track()
+function count(field, n = 1) {
+  const step = context.getStore();
+  if (step) step[field] += n;
+}
+
+// Array lengths in a step's output, e.g. { opos: 57, transplant_centers: 250 }
+function rowsOf(output) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) return {};
+  return Object.fromEntries(Object.entries(output).filter(([, val]) => Array.isArray(val)).map(([key, val]) => [key, val.length]));
+}
+
+function newStep(kind, required) {
+  return {
+    kind,
+    status: 'skipped',
+    required,
+    duration_ms: 0,
+    rows: {},
+    requests: 0,
+    cache_hits: 0,
+    bytes_downloaded: 0,
+    warnings: [],
+    error: null,
+  };
+}
+
+function summary(name, step) {
+  return {
+    step: name,
+    kind: step.kind,
+    status: step.status,
+    duration_ms: step.duration_ms,
+    rows: step.rows,
+    requests: step.requests,
+    bytes_downloaded: step.bytes_downloaded,
+    warnings: step.warnings.length,
+  };
+}
+
+// options: the run's CLI options (recorded as-is). required: step names whose
+// failure fails the run. With strict, any failed or skipped step does.
+function createReport({ options = {}, required = [], strict = false } = {}) {
+  const startedAt = new Date();
+  const steps = {};
+
+  // Runs fn() as the named step and returns its result. A null result means
+  // the step found nothing to do ('unchanged'). Errors are recorded and rethrown.
+  async function track(name, kind, fn, { rows = rowsOf } = {}) {
+    const step = steps[name] = newStep(kind, required.includes(name));
+    const started = Date.now();
+    logger.event(SOURCE, 'step_started', { step: name, kind });
+    try {
+      const result = await context.run(step, fn);
+      step.status = result === null ? 'unchanged' : 'done';
+      step.rows = rows(result);
+      return result;
+    } catch (err) {
+      step.status = 'failed';
+      step.error = err.message;
+      throw err;
+    } finally {
+      step.duration_ms = Date.now() - started;
+      logger.event(SOURCE, 'step_finished', summary(name, step), step.status === 'failed' ? 'error' : 'info');
+    }
+  }
+
+  // Records a step that was planned but never started
+  function skip(name, kind, reason) {
+    const step = steps[name] = newStep(kind, required.includes(name));
+    step.error = reason;
+    logger.event(SOURCE, 'step_finished', summary(name, step), 'warn');
+  }
+
+  function failedRequired() {
+    return Object.keys(steps).filter(name => {
+      const step = steps[name];
+      return (step.required || strict) && ['failed', 'skipped'].includes(step.status);
+    });
+  }
+
+  // Exit code policy: 1 when a required step (or, with strict, any step)
+  // failed or was skipped because something upstream failed
+  function exitCode() {
+    return failedRequired().length ? 1 : 0;
+  }
+
+  function toJSON() {
+    const finishedAt = new Date();
+    return {
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt - startedAt,
+      exit_code: exitCode(),
+      options,
+      steps,
+      failed_required: failedRequired(),
+    };
+  }
+
+  function write(file = config.paths.runReport) {
+    const report = toJSON();
+    checkOutput(SOURCE, 'run-report', report);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+    const totals = Object.values(steps).reduce((sum, step) => sum + step.bytes_downloaded, 0);
+    logger.event(SOURCE, 'run_finished', {
+      duration_ms: report.duration_ms,
+      exit_code: report.exit_code,
+      steps: Object.keys(steps).length,
+      failed_required: report.failed_required,
+      bytes_downloaded: totals,
+      report: file,
+    }, report.exit_code ? 'error' : 'info');
+    return report;
+  }
+
+  return { steps, track, skip, exitCode, toJSON, write };
+}
+
+module.exports = { createReport, count, rowsOf };
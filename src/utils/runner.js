@@ -0,0 +1,85 @@
+const logger = require('./logger');
+
+const SOURCE = 'runner';
+
+// Runs steps that depend on each other. dependsOn(name) lists the steps that
+// must finish first; independent steps run concurrently up to a limit.
+
+// Adds every dependency of the requested steps, minus the skipped ones, and
+// returns them in dependency order: { order, added }. Throws on an unknown
+// step or a dependency cycle.
+function plan(requested, dependsOn, { known, skip = [] } = {}) {
+  const order = [];
+  const added = [];
+  const state = {};
+
+  function visit(name, trail) {
+    if (known && !known.includes(name)) {
+      throw new Error(`Unknown source: ${name}${trail.length ? ` (required by ${trail[trail.length - 1]})` : ''}`);
+    }
+    if (state[name] === 'done') return;
+    if (state[name] === 'visiting') {
+      throw new Error(`Dependency cycle: ${[...trail.slice(trail.indexOf(name)), name].join(' -> ')}`);
+    }
+    state[name] = 'visiting';
+    for (const dep of dependsOn(name)) {
+      if (skip.includes(dep)) {
+        logger.info(SOURCE, `${name} needs ${dep}, which is skipped; using its existing output`);
+        continue;
+      }
+      visit(dep, [...trail, name]);
+    }
+    state[name] = 'done';
+    order.push(name);
+    if (!requested.includes(name)) added.push(name);
+  }
+
+  for (const name of requested) {
+    if (!skip.includes(name)) visit(name, []);
+  }
+  return { order, added };
+}
+
+// Runs each step in names once its dependencies (those also in names) have
+// succeeded, at most `concurrency` at a time. A step whose dependency failed
+// is not run. Returns { name: { status, result, error, duration_ms } } with
+// status 'done', 'failed' or 'skipped'; skipped steps name the dependency
+// that didn't complete in blocked_by.
+async function runGraph(names, dependsOn, runStep, { concurrency = 1 } = {}) {
+  const results = {};
+  const pending = [...names];
+  const running = new Map();
+  const depsOf = name => dependsOn(name).filter(dep => names.includes(dep));
+
+  while (pending.length || running.size) {
+    for (const name of [...pending]) {
+      const deps = depsOf(name);
+      const blocked = deps.find(dep => results[dep] && results[dep].status !== 'done');
+      if (blocked) {
+        pending.splice(pending.indexOf(name), 1);
+        results[name] = { status: 'skipped', result: null, error: null, duration_ms: 0, blocked_by: blocked };
+        logger.warn(SOURCE, `Skipping ${name}: ${blocked} did not complete`);
+        continue;
+      }
+      if (running.size >= concurrency || !deps.every(dep => results[dep])) continue;
+
+      pending.splice(pending.indexOf(name), 1);
+      const started = Date.now();
+      const task = Promise.resolve()
+        .then(() => runStep(name))
+        .then(
+          result => ({ status: 'done', result, error: null }),
+          error => ({ status: 'failed', result: null, error }),
+        )
+        .then(outcome => {
+          results[name] = { ...outcome, duration_ms: Date.now() - started };
+          running.delete(name);
+        });
+      running.set(name, task);
+    }
+    if (running.size) await Promise.race(running.values());
+  }
+  return results;
+}
+
+module.exports = { plan, runGraph };
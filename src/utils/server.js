@@ -0,0 +1,249 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const history = require('./history');
+
+const SOURCE = 'server';
+
+// Read-only JSON API over data/normalized:
+//   GET /opos                      ?state=CA&tier=1,2&fields=dsa_code,cms_status.tier&sort=-financials.revenue
+//   GET /opos/:dsa_code            ?fields=...
+//   GET /opos/:dsa_code/history    tier history, Form 990 history and per-snapshot values
+//   GET /transplant-centers        ?state=CA&program=kidney&fields=...&sort=code
+//   GET /metadata
+//   GET /sources
+// Responses carry an ETag and honor If-None-Match. The files are reloaded
+// whenever a normalization run rewrites them.
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+function loadStore() {
+  const dir = config.paths.normalizedData;
+  const opos = readJson(path.join(dir, 'opos.json'));
+  if (!opos) throw new Error('No normalized opos.json found. Run normalization first.');
+  return {
+    opos,
+    centers: readJson(path.join(dir, 'transplant_centers.json')),
+    provenance: readJson(path.join(dir, 'provenance.json')),
+    loaded_at: new Date().toISOString(),
+  };
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((val, key) => (val === null || val === undefined ? undefined : val[key]), obj);
+}
+
+function setPath(obj, dotted, val) {
+  const keys = dotted.split('.');
+  let node = obj;
+  for (const key of keys.slice(0, -1)) node = node[key] = node[key] || {};
+  node[keys[keys.length - 1]] = val;
+}
+
+function list(param) {
+  return param ? param.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// ?fields=dsa_code,cms_status.tier keeps only those (dotted) paths
+function selectFields(item, fields) {
+  if (!fields.length) return item;
+  const out = {};
+  for (const field of fields) {
+    const val = getPath(item, field);
+    if (val !== undefined) setPath(out, field, val);
+  }
+  return out;
+}
+
+// ?sort=-financials.revenue,name; nulls always sort last
+function sortBy(items, keys) {
+  if (!keys.length) return items;
+  const specs = keys.map(k => (k.startsWith('-') ? { field: k.slice(1), dir: -1 } : { field: k, dir: 1 }));
+  return [...items].sort((a, b) => {
+    for (const { field, dir } of specs) {
+      const x = getPath(a, field) ?? null;
+      const y = getPath(b, field) ?? null;
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      if (cmp !== 0) return cmp * dir;
+    }
+    return 0;
+  });
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function queryOpos(store, query) {
+  const states = list(query.get('state')).map(s => s.toUpperCase());
+  const tiers = list(query.get('tier')).map(Number);
+  if (tiers.some(isNaN)) throw httpError(400, `Invalid tier: ${query.get('tier')}`);
+
+  let opos = store.opos.opos.filter(opo =>
+    (!states.length || states.includes(opo.location?.state) || (opo.states_served || []).some(s => states.includes(s))) &&
+    (!tiers.length || tiers.includes(opo.cms_status?.tier)));
+  opos = sortBy(opos, list(query.get('sort')));
+  return { count: opos.length, opos: opos.map(o => selectFields(o, list(query.get('fields')))) };
+}
+
+function findOpo(store, dsa) {
+  const opo = store.opos.opos.find(o => o.dsa_code === dsa.toUpperCase());
+  if (!opo) throw httpError(404, `Unknown DSA code: ${dsa}`);
+  return opo;
+}
+
+// Snapshots never change, so each one is read at most once
+const snapshotCache = new Map();
+
+function snapshotOpos(id) {
+  if (!snapshotCache.has(id)) {
+    const data = history.loadSnapshot(id);
+    snapshotCache.set(id, { generated_at: data.metadata?.generated_at ?? null, opos: data.opos });
+  }
+  return snapshotCache.get(id);
+}
+
+function opoHistory(opo) {
+  const snapshots = [];
+  for (const id of history.listSnapshots()) {
+    let snapshot;
+    try {
+      snapshot = snapshotOpos(id);
+    } catch (err) {
+      continue;
+    }
+    const past = snapshot.opos.find(o => o.dsa_code === opo.dsa_code);
+    if (!past) continue;
+    snapshots.push({
+      snapshot: id,
+      generated_at: snapshot.generated_at,
+      tier: past.cms_status?.tier ?? null,
+      at_risk: past.cms_status?.at_risk ?? null,
+      donors_recovered: past.metrics?.donors_recovered ?? null,
+      revenue: past.financials?.revenue ?? null,
+      ceo: past.leadership?.ceo ?? null,
+      ceo_compensation: past.financials?.ceo_compensation ?? null,
+    });
+  }
+  return {
+    dsa_code: opo.dsa_code,
+    tier_history: opo.cms_status?.tier_history ?? null,
+    financial_history: opo.financials?.history ?? [],
+    snapshots,
+  };
+}
+
+function queryCenters(store, query) {
+  const states = list(query.get('state')).map(s => s.toUpperCase());
+  const programs = list(query.get('program'));
+  let centers = (store.centers?.transplant_centers || []).filter(c =>
+    (!states.length || states.includes(c.location?.state)) &&
+    (!programs.length || programs.some(p => (c.programs || []).includes(p))));
+  centers = sortBy(centers, list(query.get('sort')));
+  return { count: centers.length, transplant_centers: centers.map(c => selectFields(c, list(query.get('fields')))) };
+}
+
+function route(store, pathname, query) {
+  const parts = pathname.split('/').filter(Boolean);
+  if (parts[0] === 'opos') {
+    if (parts.length === 1) return queryOpos(store, query);
+    if (parts.length === 2) return selectFields(findOpo(store, parts[1]), list(query.get('fields')));
+    if (parts.length === 3 && parts[2] === 'history') return opoHistory(findOpo(store, parts[1]));
+  }
+  if (parts.length === 1 && parts[0] === 'transplant-centers') return queryCenters(store, query);
+  if (parts.length === 1 && parts[0] === 'metadata') return store.opos.metadata;
+  if (parts.length === 1 && parts[0] === 'sources') {
+    return {
+      coverage: store.opos.metadata?.sources ?? null,
+      sources: store.provenance?.sources ?? null,
+      loaded_at: store.loaded_at,
+    };
+  }
+  throw httpError(404, `Not found: ${pathname}`);
+}
+
+function send(req, res, status, body) {
+  const json = JSON.stringify(body, null, 2);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('hex')}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'no-cache');
+  if (status === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+// Returns { server, reload(), close() }. options.watch: reload when
+// data/normalized changes (default true).
+function createServer(options = {}) {
+  let store = loadStore();
+
+  function reload() {
+    try {
+      store = loadStore();
+      logger.info(SOURCE, `Reloaded ${store.opos.opos.length} OPOs (generated ${store.opos.metadata?.generated_at})`);
+    } catch (err) {
+      // A half-written file; keep serving the previous data until the next change
+      logger.warn(SOURCE, `Reload failed, keeping previous data: ${err.message}`);
+    }
+    return store;
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      send(req, res, 405, { error: `Method not allowed: ${req.method}` });
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      send(req, res, 200, route(store, url.pathname, url.searchParams));
+    } catch (err) {
+      if (!err.status) logger.error(SOURCE, `${req.method} ${req.url} failed`, err);
+      send(req, res, err.status || 500, { error: err.status ? err.message : 'Internal server error' });
+    }
+  });
+
+  // normalize.run() writes several files in a row; debounce so a run
+  // triggers a single reload
+  let watcher = null;
+  let timer = null;
+  if (options.watch !== false) {
+    watcher = fs.watch(config.paths.normalizedData, (event, file) => {
+      if (file && !file.endsWith('.json')) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, options.reloadDelay ?? 500);
+    });
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (watcher) watcher.close();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { server, reload, close };
+}
+
+function serve(port = config.server.port) {
+  const api = createServer();
+  api.server.listen(port, () => {
+    logger.info(SOURCE, `Serving ${config.paths.normalizedData} on http://localhost:${api.server.address().port}`);
+  });
+  return api;
+}
+
+module.exports = { createServer, serve, selectFields, sortBy };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Catalog of SRTR OPO-Specific Report tables and figures. Each entry maps a
+// column of one table to a normalized field in data/raw/srtr.json:
+// - table:   table/figure ID as it appears in the sheet name ("Table B1")
+// - field:   dotted output path ("referrals.eligible_deaths")
+// - columns: header names to accept, compared case- and whitespace-insensitively
+// - type:    count | number | percent | ratio
+// - unit:    what the value measures, written to metadata.fields
+//
+// Extra entries can be supplied as a JSON array in the file named by
+// config.sources.srtr.catalogFile; an entry with the same field replaces the
+// built-in one. Sheets with no catalog entry are kept raw in srtr_tables.
+//
+// Built-in entries only use column names the SRTR parser already read before
+// the catalog existed (Tables C1, C2 and 'All organs transplanted per donor'
+// in Figure C5). Tables such as B1 (referrals), B2 (donor characteristics)
+// and C3 (DBD/DCD) stay in srtr_tables, and Figure C5's per-organ columns are
+// not read, until their headers are checked against a real workbook; a
+// guessed name would only give nulls.
+const CATALOG = [
+  // Organ yield (Figure C5)
+  { table: 'Figure C5', field: 'yield.all', columns: ['All organs transplanted per donor'], type: 'ratio', unit: 'organs per donor' },
+
+  // Utilization and observed/expected yield (Tables C1, C2)
+  { table: 'Table C1', field: 'utilization.kidney_transplanted', columns: ['KIs recovered for transplant, transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.kidney_not_transplanted', columns: ['KIs recovered for transplant, not transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.liver_transplanted', columns: ['LIs recovered for transplant, transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.liver_not_transplanted', columns: ['LIs recovered for transplant, not transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.heart_transplanted', columns: ['HRs recovered for transplant, transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.heart_not_transplanted', columns: ['HRs recovered for transplant, not transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.lung_transplanted', columns: ['LUs recovered for transplant, transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C1', field: 'utilization.lung_not_transplanted', columns: ['LUs recovered for transplant, not transplanted'], type: 'count', unit: 'organs' },
+  { table: 'Table C2', field: 'utilization.donors', columns: ['Number of donors'], type: 'count', unit: 'donors' },
+  { table: 'Table C2', field: 'utilization.observed_expected_ratio', columns: ['Observed to expected ratio - aggregate'], type: 'ratio', unit: 'observed / expected' },
+];
+
+const TYPES = ['count', 'number', 'percent', 'ratio'];
+
+function loadCatalog(file = config.sources.srtr.catalogFile) {
+  if (!file) return CATALOG;
+  const extra = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  if (!Array.isArray(extra)) throw new Error(`SRTR catalog ${file} must be a JSON array`);
+  for (const entry of extra) {
+    if (!entry.table || !entry.field || !Array.isArray(entry.columns) || !TYPES.includes(entry.type)) {
+      throw new Error(`Invalid SRTR catalog entry in ${file}: ${JSON.stringify(entry)}`);
+    }
+  }
+  const fields = new Set(extra.map(e => e.field));
+  return [...CATALOG.filter(e => !fields.has(e.field)), ...extra];
+}
+
+module.exports = { CATALOG, loadCatalog };
@@ -0,0 +1,71 @@
+// Transplant centers (OTCs) as entities shared between OPOs.
+
+const PROGRAMS = {
+  kidney: 'kidney',
+  liver: 'liver',
+  heart: 'heart',
+  lung: 'lung',
+  'heart lung': 'heart_lung',
+  pancreas: 'pancreas',
+  'kidney pancreas': 'kidney_pancreas',
+  'pancreas islet': 'islet',
+  intestine: 'intestine',
+  'vascularized composite allograft vca': 'vca',
+};
+
+const STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+]);
+
+// HRSA service type ("Pancreas Islet", "Vascularized Composite Allograft (VCA)")
+// to an organ program code; unknown types become a snake_case code.
+function toProgram(serviceType) {
+  const key = String(serviceType).toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  return PROGRAMS[key] || key.replace(/ /g, '_');
+}
+
+// OTC codes start with the center's state (ALUA, DCGU)
+function stateFromCode(code) {
+  const prefix = String(code || '').slice(0, 2).toUpperCase();
+  return STATES.has(prefix) ? prefix : null;
+}
+
+// Center entities from data/raw/hrsa.json. Files written before centers were
+// entities only have per-OPO transplant_centers lists, so rebuild from those.
+function centersFromRaw(hrsaRaw) {
+  if (!hrsaRaw) return [];
+  if (hrsaRaw.transplant_centers) return hrsaRaw.transplant_centers;
+
+  const centers = {};
+  for (const opo of hrsaRaw.opos) {
+    for (const tc of opo.transplant_centers || []) {
+      if (!tc.code) continue;
+      const center = centers[tc.code] = centers[tc.code] || {
+        code: tc.code,
+        name: tc.name,
+        location: { address: null, city: null, state: stateFromCode(tc.code), zip: null, source: stateFromCode(tc.code) ? 'otc_code' : null },
+        programs: [],
+        services: [],
+        provider_numbers: [],
+        opos: [],
+      };
+      for (const service of tc.services || []) {
+        if (!center.services.includes(service)) center.services.push(service);
+        if (!center.programs.includes(toProgram(service))) center.programs.push(toProgram(service));
+      }
+      if (opo.provider_number && !center.provider_numbers.includes(opo.provider_number)) center.provider_numbers.push(opo.provider_number);
+      if (!center.opos.includes(opo.dsa_code)) center.opos.push(opo.dsa_code);
+    }
+  }
+  return Object.values(centers).sort((a, b) => a.code.localeCompare(b.code));
+}
+
+// Codes an HRSA OPO entry references, for old and new raw files alike
+function centerCodes(hrsaEntry) {
+  if (!hrsaEntry) return [];
+  return hrsaEntry.transplant_center_codes || (hrsaEntry.transplant_centers || []).map(tc => tc.code).filter(Boolean);
+}
+
+module.exports = { toProgram, stateFromCode, centersFromRaw, centerCodes };
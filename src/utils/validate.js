@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const logger = require('./logger');
+
+// JSON Schemas live in src/schemas/: opos.json for the normalized output and
+// raw-<source>.json for each scraper's data/raw/<source>.json.
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const MAX_LOGGED = 20;
+
+let ajv = null;
+
+function getAjv() {
+  if (ajv) return ajv;
+  ajv = new Ajv({ allErrors: true, strict: false });
+  for (const file of fs.readdirSync(SCHEMA_DIR).filter(f => f.endsWith('.json'))) {
+    ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf-8')));
+  }
+  return ajv;
+}
+
+// Turn "/opos/3/cms_status/tier" into DSA code + field path for readable reports
+function describe(err, data) {
+  const match = err.instancePath.match(/^\/opos\/(\d+)(\/.*)?$/);
+  const opo = match ? data.opos?.[parseInt(match[1], 10)] : null;
+  const field = (match ? match[2] || '' : err.instancePath).replace(/^\//, '').replace(/\//g, '.');
+  let message = err.message;
+  if (err.keyword === 'required') message = `missing ${err.params.missingProperty}`;
+  if (err.keyword === 'type') message = `must be ${String(err.params.type).replace(/,/g, ' or ')}`;
+  if (err.keyword === 'enum') message = `must be one of ${err.params.allowedValues.join(', ')}`;
+  return {
+    dsa_code: opo?.dsa_code ?? null,
+    field: field || null,
+    keyword: err.keyword,
+    message,
+  };
+}
+
+function validate(schemaId, data) {
+  const check = getAjv().getSchema(`${schemaId}.json`);
+  if (!check) throw new Error(`Unknown schema: ${schemaId}`);
+  if (check(data)) return [];
+  return check.errors.map(err => describe(err, data));
+}
+
+// Validate output before it is written. Logs a violation report and, in
+// strict mode, throws so the caller never writes invalid data.
+function checkOutput(source, schemaId, data, options = {}) {
+  const violations = validate(schemaId, data);
+  if (violations.length === 0) {
+    logger.debug(source, `Schema ${schemaId}: OK`);
+    return violations;
+  }
+
+  const byKeyword = {};
+  for (const v of violations) byKeyword[v.keyword] = (byKeyword[v.keyword] || 0) + 1;
+  const summary = Object.entries(byKeyword).map(([k, n]) => `${k}=${n}`).join(', ');
+
+  const log = options.strict ? logger.error : logger.warn;
+  log(source, `Schema ${schemaId}: ${violations.length} violation(s) (${summary})`);
+  for (const v of violations.slice(0, MAX_LOGGED)) {
+    log(source, `  ${v.dsa_code || '-'} ${v.field || '(root)'}: ${v.message}`);
+  }
+  if (violations.length > MAX_LOGGED) {
+    log(source, `  ...and ${violations.length - MAX_LOGGED} more`);
+  }
+
+  if (options.strict) {
+    throw new Error(`${violations.length} schema violation(s) in ${schemaId} (strict mode)`);
+  }
+  return violations;
+}
+
+module.exports = { validate, checkOutput };
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkbook } = require('./helpers');
+const { parseSummarySheet, parseAssessmentSheets, enumerateReports } = require('../src/scrapers/cms-qcor');
+
+function summaryRows({ headerRow = 7, extraLeading = 0 } = {}) {
+  const pad = Array(extraLeading).fill(null);
+  const rows = [['CMS OPO Performance Report']];
+  while (rows.length < headerRow) rows.push([]);
+  rows.push([...pad, 'OPO Name', 'OPO Code', 'Tier', null, null, null, null,
+    'Donation Rate Category', null, null, null, null, 'Transplant Rate Category']);
+  rows.push([]);
+  rows.push([...pad, null, null, 2019, 2020, 2021, 2022, 2023, 2019, 2020, 2021, 2022, 2023,
+    2019, 2020, 2021, 2022, 2023]);
+  rows.push([]);
+  rows.push([...pad, 'Legacy of Hope', 'ALOB', 2, 2, 2, 2, 1, '2A', '2D', '2B', '1D', '1C',
+    '2C', '2C', '2B', '2A', '1C']);
+  rows.push([...pad, 'Test OPO', 'TXTT', 3, 'N/A', '-', 2, null, '3A', null, 'N/A', '2B', null,
+    '3B', '3C', '', '2A', null]);
+  rows.push([...pad, 'National total', null, null]);
+  return rows;
+}
+
+test('parseSummarySheet reads tier history and rate categories by year', () => {
+  const wb = buildWorkbook({ Summary: summaryRows() });
+  const opos = parseSummarySheet(wb);
+
+  assert.equal(opos.length, 2);
+  assert.deepEqual(opos[0], {
+    dsa_code: 'ALOB',
+    name: 'Legacy of Hope',
+    tier_history: { 2019: 2, 2020: 2, 2021: 2, 2022: 2, 2023: 1 },
+    latest_tier: 1,
+    donation_rate_categories: { 2019: '2A', 2020: '2D', 2021: '2B', 2022: '1D', 2023: '1C' },
+    transplant_rate_categories: { 2019: '2C', 2020: '2C', 2021: '2B', 2022: '2A', 2023: '1C' },
+  });
+});
+
+test('parseSummarySheet treats N/A and dashes as missing and falls back to the prior year tier', () => {
+  const wb = buildWorkbook({ Summary: summaryRows() });
+  const txtt = parseSummarySheet(wb).find(o => o.dsa_code === 'TXTT');
+
+  assert.deepEqual(txtt.tier_history, { 2019: 3, 2020: null, 2021: null, 2022: 2, 2023: null });
+  assert.equal(txtt.latest_tier, 2);
+  assert.equal(txtt.donation_rate_categories[2020], null);
+});
+
+test('parseSummarySheet finds the header wherever it drifts to', () => {
+  const wb = buildWorkbook({ 'OPO Summary': summaryRows({ headerRow: 3, extraLeading: 1 }) });
+  const opos = parseSummarySheet(wb);
+
+  assert.deepEqual(opos.map(o => o.dsa_code), ['ALOB', 'TXTT']);
+  assert.equal(opos[0].tier_history[2019], 2);
+});
+
+test('parseSummarySheet locates columns from the year subheader when a year is added', () => {
+  const rows = [
+    ['OPO Name', 'OPO Code', 'Tier', null, null, 'Donation Rate Category', null, null, 'Transplant Rate Category'],
+    [null, null, 2022, 2023, 2024, 2022, 2023, 2024, 2022, 2023, 2024],
+    ['Legacy of Hope', 'ALOB', 2, 1, 3, '1D', '1C', '3A', '2A', '1C', '2B'],
+  ];
+  const [alob] = parseSummarySheet(buildWorkbook({ Summary: rows }));
+
+  assert.deepEqual(alob.tier_history, { 2022: 2, 2023: 1, 2024: 3 });
+  assert.equal(alob.latest_tier, 3);
+  assert.deepEqual(alob.donation_rate_categories, { 2022: '1D', 2023: '1C', 2024: '3A' });
+  assert.deepEqual(alob.transplant_rate_categories, { 2022: '2A', 2023: '1C', 2024: '2B' });
+});
+
+test('parseSummarySheet refuses to parse without the expected headers', () => {
+  assert.throws(() => parseSummarySheet(buildWorkbook({ Data: summaryRows() })), /No Summary sheet/);
+  assert.throws(() => parseSummarySheet(buildWorkbook({ Summary: [['no header'], ['ALOB']] })), /no "OPO Code" header/);
+  assert.throws(() => parseSummarySheet(buildWorkbook({
+    Summary: [['OPO Name', 'OPO Code', 'Tier', null], [null, null, 2022, 2023], ['Legacy of Hope', 'ALOB', 2, 1]],
+  })), /no year columns found under donation, transplant/);
+});
+
+const ASSESSMENT_HEADER = [
+  ['OPO Name', 'OPO Code', 'Donation Rate', null, null, null, null, 'Transplant Rate', null, null, null, null, null, null, 'Tier'],
+  [null, null, 'Rate', 'Upper CI', 'Gap to median', 'Gap to top 25%', 'Rate Category', 'Expected', 'Observed',
+    'Age-Adjusted', 'Upper CI', 'Gap to median', 'Gap to top 25%', 'Rate Category', 2019, 2020, 2021, 2022, 2023],
+];
+
+function assessmentRow(code, overrides = {}) {
+  const row = ['Some OPO', code, 15.2, 16.6, 0.5, 1.2, '1C', 45.3, 47.6, 46.2, 48.8, 0.4, 1.1, '1C', 2, 2, 2, 2, 1];
+  for (const [idx, val] of Object.entries(overrides)) row[idx] = val;
+  return row;
+}
+
+test('parseAssessmentSheets reads every assessment sheet by header label', () => {
+  const wb = buildWorkbook({
+    Summary: [[]],
+    '2024 Assessment': [['2024 OPO Assessment'], ...ASSESSMENT_HEADER, assessmentRow('ALOB', { 2: 1 })],
+    '2025 Assessment': [['notes'], [], ...ASSESSMENT_HEADER, assessmentRow('ALOB'), assessmentRow('TXTT', { 2: 'N/A', 6: null })],
+  });
+  const byYear = parseAssessmentSheets(wb);
+
+  assert.deepEqual(Object.keys(byYear), ['2024', '2025']);
+  assert.equal(byYear[2024].ALOB.donation_rate, 1);
+  assert.deepEqual(Object.keys(byYear[2025]), ['ALOB', 'TXTT']);
+  assert.deepEqual(byYear[2025].ALOB, {
+    donation_rate: 15.2,
+    donation_rate_upper_ci: 16.6,
+    donation_rate_category: '1C',
+    expected_transplant_rate: 45.3,
+    observed_transplant_rate: 47.6,
+    age_adjusted_transplant_rate: 46.2,
+    transplant_rate_upper_ci: 48.8,
+    transplant_rate_category: '1C',
+    tier_history: { 2019: 2, 2020: 2, 2021: 2, 2022: 2, 2023: 1 },
+  });
+  assert.equal(byYear[2025].TXTT.donation_rate, null);
+  assert.equal(byYear[2025].TXTT.donation_rate_category, null);
+});
+
+test('parseAssessmentSheets follows columns that move and refuses unknown layouts', () => {
+  const header = [
+    ['OPO Code', 'OPO Name', 'Transplant Rate', null, null, null, null, 'Donation Rate', null, null],
+    [null, null, 'Observed', 'Expected', 'Age-Adjusted', 'Upper CI', 'Rate Category', 'Rate', 'Upper CI', 'Rate Category'],
+  ];
+  const moved = parseAssessmentSheets(buildWorkbook({
+    '2026 Assessment': [...header, ['ALOB', 'Some OPO', 47.6, 45.3, 46.2, 48.8, '2B', 15.2, 16.6, '1C']],
+  }));
+
+  assert.equal(moved[2026].ALOB.observed_transplant_rate, 47.6);
+  assert.equal(moved[2026].ALOB.expected_transplant_rate, 45.3);
+  assert.equal(moved[2026].ALOB.donation_rate, 15.2);
+  assert.equal(moved[2026].ALOB.transplant_rate_category, '2B');
+  assert.deepEqual(moved[2026].ALOB.tier_history, {});
+
+  assert.throws(() => parseAssessmentSheets(buildWorkbook({
+    '2025 Assessment': [['OPO Name', 'OPO Code', 'Value'], ['Some OPO', 'ALOB', 1]],
+  })), /could not locate column\(s\) donation_rate, /);
+  assert.deepEqual(parseAssessmentSheets(buildWorkbook({ Summary: [[]] })), {});
+});
+
+test('enumerateReports builds January and July report URLs newest first', () => {
+  const reports = enumerateReports(new Date('2025-08-10T00:00:00Z'), 13);
+
+  assert.deepEqual(reports.map(r => r.id), ['2025-07', '2025-01']);
+  assert.equal(reports[0].url,
+    'https://qcor.cms.gov/documents/Public%202024%20%26%202025%20OPO%20Report%20-%20July%202025.xlsx');
+});
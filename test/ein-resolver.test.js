@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempPaths, useReplay } = require('./helpers');
+const { rankCandidates, resolveOpo, knownEin, resolveEins, loadOverrides } = require('../src/utils/ein-resolver');
+
+const SEARCH = 'https://projects.propublica.org/nonprofits/api/v2/search.json?q=';
+
+const legacy = { dsa_code: 'ALOB', name: 'Legacy of Hope', states_served: ['AL'], location: { state: 'AL', city: 'Birmingham' } };
+
+const ORGS = [
+  { ein: 111111111, name: 'Hope Church of Texas', city: 'Austin', state: 'TX', ntee_code: 'X20' },
+  { ein: 222222222, name: 'Legacy of Hope Inc', city: 'Birmingham', state: 'AL', ntee_code: 'E61' },
+  { ein: 333333333, name: 'Legacy Foundation', city: 'Mobile', state: 'AL', ntee_code: 'T20' },
+];
+
+test('rankCandidates scores name, state, NTEE and city', () => {
+  const ranked = rankCandidates(legacy, ORGS);
+  assert.deepEqual(ranked.map(c => c.ein), [222222222, 333333333, 111111111]);
+  assert.deepEqual(ranked[0].scores, { name: 1, state: 1, ntee: 1, city: 1 });
+  assert.equal(ranked[0].confidence, 1);
+  assert.equal(ranked[1].scores.state, 1);
+  assert.ok(ranked[2].confidence < 0.5);
+});
+
+test('resolveOpo only auto-accepts above the threshold', async (t) => {
+  const paths = useTempPaths(t);
+  const addFixture = useReplay(t, paths);
+  addFixture(SEARCH + encodeURIComponent('Legacy of Hope'), { organizations: ORGS });
+  addFixture(SEARCH + encodeURIComponent('Gift of Hope'), { organizations: [ORGS[0], ORGS[2]] });
+
+  const accepted = await resolveOpo(legacy);
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(accepted.ein, 222222222);
+
+  const review = await resolveOpo({ ...legacy, name: 'Gift of Hope' });
+  assert.equal(review.status, 'review');
+  assert.equal(review.ein, null);
+  assert.equal(review.candidates.length, 2);
+
+  const missing = await resolveOpo({ ...legacy, name: 'Nobody' });
+  assert.equal(missing.status, 'not_found');
+});
+
+test('knownEin prefers overrides over the registry', () => {
+  const overrides = {
+    AZOB: { ein: 123456789, status: 'manual', confidence: 0.7 },
+    ALOB: { ein: null, status: 'rejected' },
+    DCTC: { ein: null, status: 'review' },
+  };
+  assert.deepEqual(knownEin('AZOB', overrides), { ein: 123456789, source: 'override', confidence: 0.7 });
+  assert.deepEqual(knownEin('ALOB', overrides), { ein: null, source: 'override', confidence: null });
+  assert.deepEqual(knownEin('DCTC', overrides), { ein: 521528461, source: 'static', confidence: 1 });
+  assert.equal(knownEin('KYDA', {}), null);
+});
+
+test('resolveEins writes the overrides file and keeps manual decisions', async (t) => {
+  const paths = useTempPaths(t);
+  const addFixture = useReplay(t, paths);
+  addFixture(SEARCH + encodeURIComponent('Legacy of Hope'), { organizations: [ORGS[0], ORGS[2]] });
+
+  const prompted = [];
+  const overrides = await resolveEins({
+    prompt: async (opo, result) => {
+      prompted.push(opo.dsa_code);
+      return result.candidates.findIndex(c => c.ein === 333333333);
+    },
+  });
+
+  // AZOB and DCTC have static EINs; ALOB goes to review and is picked by hand
+  assert.deepEqual(prompted, ['ALOB']);
+  assert.deepEqual(Object.keys(overrides), ['ALOB']);
+  assert.equal(overrides.ALOB.status, 'manual');
+  assert.equal(overrides.ALOB.ein, 333333333);
+  assert.deepEqual(loadOverrides(), JSON.parse(fs.readFileSync(paths.einOverrides, 'utf-8')));
+
+  // A second run leaves the manual entry alone
+  const again = await resolveEins({ prompt: null });
+  assert.equal(again.ALOB.resolved_at, overrides.ALOB.resolved_at);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { useTempPaths } = require('./helpers');
+const normalize = require('../src/utils/normalize');
+const { run, flatten, toCsv } = require('../src/utils/export');
+
+test('flatten uses dotted paths and joins scalar lists', () => {
+  const row = flatten({
+    dsa_code: 'CADN',
+    location: { city: 'Oakland', geo: { lat: 1 } },
+    states_served: ['CA', 'NV'],
+    executives: [{ name: 'A' }],
+    empty: [],
+    _provenance: { dsa_code: {} },
+  });
+  assert.deepEqual(row, {
+    dsa_code: 'CADN',
+    'location.city': 'Oakland',
+    'location.geo.lat': 1,
+    states_served: 'CA; NV',
+    empty: null,
+  });
+});
+
+test('toCsv takes the union of columns and quotes special characters', () => {
+  const csv = toCsv([
+    { dsa_code: 'A', name: 'Plain', at_risk: false },
+    { dsa_code: 'B', name: 'Quote "and", comma', extra: 2 },
+  ]);
+  assert.equal(csv, [
+    'dsa_code,name,at_risk,extra',
+    'A,Plain,false,',
+    'B,"Quote ""and"", comma",,2',
+    '',
+  ].join('\n'));
+});
+
+test('run() writes the CSV and a SQLite database keyed by dsa_code', async (t) => {
+  const paths = useTempPaths(t);
+  const output = await normalize.run();
+  const files = await run(['csv', 'sqlite']);
+  assert.deepEqual(files.map(f => path.basename(f)), ['opos.csv', 'opos.sqlite']);
+
+  const lines = fs.readFileSync(path.join(paths.exports, 'opos.csv'), 'utf-8').trim().split('\n');
+  assert.equal(lines.length, output.opos.length + 1);
+  assert.ok(lines[0].split(',').includes('cms_status.tier'));
+
+  const db = new Database(path.join(paths.exports, 'opos.sqlite'), { readonly: true });
+  t.after(() => db.close());
+
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM opos').get().n, output.opos.length);
+  const azob = output.opos.find(o => o.dsa_code === 'AZOB');
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM financial_filings WHERE dsa_code = ?').get('AZOB').n, azob.financials.history.length);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM demographics WHERE dsa_code = ?').get('ALOB').n, 4);
+
+  const joined = db.prepare(`
+    SELECT o.dsa_code, c.code FROM opo_transplant_centers j
+    JOIN opos o ON o.dsa_code = j.dsa_code
+    JOIN transplant_centers c ON c.code = j.center_code
+    ORDER BY o.dsa_code, c.code
+  `).all();
+  assert.ok(joined.length > 0);
+  assert.equal(joined.length, db.prepare('SELECT COUNT(*) AS n FROM opo_transplant_centers').get().n);
+
+  const fks = db.prepare("SELECT \"table\" FROM pragma_foreign_key_list('tier_history')").all();
+  assert.deepEqual(fks, [{ table: 'opos' }]);
+  const centerFks = db.prepare("SELECT \"table\", \"from\" FROM pragma_foreign_key_list('opo_transplant_centers') ORDER BY \"from\"").all();
+  assert.deepEqual(centerFks, [{ table: 'transplant_centers', from: 'center_code' }, { table: 'opos', from: 'dsa_code' }]);
+});
+
+test('the SQLite export rejects an OPO linked to a center missing from transplant_centers.json', async (t) => {
+  const paths = useTempPaths(t);
+  await normalize.run();
+  const file = path.join(paths.normalizedData, 'transplant_centers.json');
+  const centers = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  centers.transplant_centers = centers.transplant_centers.slice(1);
+  fs.writeFileSync(file, JSON.stringify(centers));
+
+  await assert.rejects(run(['sqlite']), /FOREIGN KEY constraint failed/);
+});
+
+test('run() rejects unknown formats and a missing opos.json', async (t) => {
+  useTempPaths(t);
+  await assert.rejects(run(['parquet']), /Unknown export format: parquet/);
+  await assert.rejects(run(['csv']), /No normalized opos.json found/);
+});
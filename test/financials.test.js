@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { withDerived, trends } = require('../src/utils/financials');
+const { toHistory } = require('../src/scrapers/propublica');
+
+test('toHistory keeps one filing per year, oldest first, preferring the newest filing', () => {
+  const history = toHistory([
+    { tax_year: 2023, total_revenue: 300, officer_compensation: 30 },
+    { tax_year: 2022, total_revenue: 200, officer_compensation: 20 },
+    { tax_year: 2022, total_revenue: 199, officer_compensation: 19 },
+    { tax_year: null, total_revenue: 1 },
+  ]);
+
+  assert.deepEqual(history.map(h => [h.tax_year, h.revenue]), [[2022, 200], [2023, 300]]);
+  assert.equal(history[0].liabilities, null);
+});
+
+test('withDerived computes year-over-year growth only across consecutive years', () => {
+  const history = withDerived([
+    { tax_year: 2019, revenue: 100, expenses: 90, officer_compensation: 10 },
+    { tax_year: 2020, revenue: 110, expenses: 99, officer_compensation: 12 },
+    { tax_year: 2022, revenue: 150, expenses: 120, officer_compensation: 15 },
+  ]);
+
+  assert.equal(history[0].revenue_growth_pct, null);
+  assert.equal(history[1].revenue_growth_pct, 10);
+  assert.equal(history[1].compensation_growth_pct, 20);
+  assert.equal(history[1].expense_ratio, 0.9);
+  assert.equal(history[2].revenue_growth_pct, null);
+  assert.equal(history[2].expense_ratio, 0.8);
+});
+
+test('withDerived leaves ratios null for missing or zero revenue', () => {
+  const [first, second] = withDerived([
+    { tax_year: 2020, revenue: 0, expenses: 10, officer_compensation: null },
+    { tax_year: 2021, revenue: null, expenses: 10, officer_compensation: 5 },
+  ]);
+
+  assert.equal(first.expense_ratio, null);
+  assert.equal(second.revenue_growth_pct, null);
+  assert.equal(second.compensation_growth_pct, null);
+});
+
+test('trends summarizes growth, expense ratio and compensation direction', () => {
+  const summary = trends(withDerived([
+    { tax_year: 2021, revenue: 100, expenses: 80, officer_compensation: 200 },
+    { tax_year: 2022, revenue: 110, expenses: 99, officer_compensation: 190 },
+    { tax_year: 2023, revenue: 121, expenses: 121, officer_compensation: 180 },
+  ]));
+
+  assert.deepEqual(summary, {
+    years: 3,
+    first_year: 2021,
+    last_year: 2023,
+    revenue_growth_pct: 10,
+    revenue_cagr_pct: 10,
+    expense_ratio: 1,
+    avg_expense_ratio: 0.9,
+    compensation_cagr_pct: -5.13,
+    compensation_trend: 'falling',
+  });
+});
+
+test('trends has no direction with a single year', () => {
+  const summary = trends(withDerived([{ tax_year: 2023, revenue: 100, expenses: 90, officer_compensation: 10 }]));
+  assert.equal(summary.years, 1);
+  assert.equal(summary.revenue_cagr_pct, null);
+  assert.equal(summary.compensation_trend, null);
+  assert.equal(trends([]), null);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildWorkbookBuffer, useTempPaths, useReplay, useRegistry, registryEntry } = require('./helpers');
+const config = require('../src/config');
+const fingerprint = require('../src/utils/fingerprint');
+const hrsa = require('../src/scrapers/hrsa');
+const { run } = require('../src/utils/normalize');
+
+const XLSX_URL = 'https://data.hrsa.gov/DataDownload/DD_Files/ORG_OTC_FCT_DET.xlsx';
+const HEADER = ['OPO Provider #', 'OPO Name', 'Address', 'City', 'State', 'ZIP', 'OPO Telephone #',
+  'OTC Name', 'OTC Code', 'Organ Transplantation Center Service Type Description'];
+const ALOB = ['01P001', 'Alabama Organ Center', '502 20th St S', 'Birmingham', 'AL', '35233', '205-731-9200', 'UAB Hospital', 'ALUA', 'Kidney'];
+const AZOB = ['03P001', 'Donor Network of Arizona', '201 W Coolidge St', 'Phoenix', 'AZ', '85013', '602-222-2200', 'Banner', 'AZGS', 'Liver'];
+
+test('unchanged() needs incremental mode, a matching fingerprint and the outputs', (t) => {
+  const paths = useTempPaths(t);
+  const out = path.join(paths.rawData, 'opodata.json');
+  assert.equal(fingerprint.unchanged('x', { a: 1 }, [out], { incremental: true }), false);
+
+  fingerprint.record('x', { a: 1 });
+  assert.equal(fingerprint.unchanged('x', { a: 1 }, [out], { incremental: true }), true);
+  assert.equal(fingerprint.unchanged('x', { a: 1 }, [out], {}), false);
+  assert.equal(fingerprint.unchanged('x', { a: 2 }, [out], { incremental: true }), false);
+  assert.equal(fingerprint.unchanged('x', { a: 1 }, [path.join(paths.rawData, 'missing.json')], { incremental: true }), false);
+  assert.ok(fingerprint.load().x.recorded_at);
+});
+
+test('an incremental scrape skips an unchanged workbook', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const addFixture = useReplay(t, paths);
+  addFixture(XLSX_URL, buildWorkbookBuffer({ Sheet1: [HEADER, ALOB] }));
+
+  assert.equal((await hrsa.scrape({ incremental: true })).opos.length, 1);
+  assert.equal(await hrsa.scrape({ incremental: true }), null);
+  // Without incremental (--force) it always reruns
+  assert.equal((await hrsa.scrape()).opos.length, 1);
+
+  addFixture(XLSX_URL, buildWorkbookBuffer({ Sheet1: [HEADER, ALOB, AZOB] }));
+  assert.equal((await hrsa.scrape({ incremental: true })).opos.length, 2);
+  assert.match(fingerprint.load().hrsa.fingerprint.content_sha256, /^[0-9a-f]{64}$/);
+});
+
+test('an incremental scrape reruns after a registry edit', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const addFixture = useReplay(t, paths);
+  addFixture(XLSX_URL, buildWorkbookBuffer({ Sheet1: [HEADER, ALOB, ['99P999', 'Unlisted OPO', '', 'Springfield', 'IL', '', '', '', '', '']] }));
+
+  assert.deepEqual((await hrsa.scrape({ incremental: true })).opos.map(o => o.dsa_code), ['ALOB']);
+  assert.equal(await hrsa.scrape({ incremental: true }), null);
+
+  const bundled = JSON.parse(fs.readFileSync(config.paths.registry, 'utf-8'));
+  useRegistry(t, paths, { ...bundled.opos, ZZOP: registryEntry('Unlisted OPO', { provider_numbers: ['99P999'] }) }, bundled.parent_organizations);
+  assert.deepEqual((await hrsa.scrape({ incremental: true })).opos.map(o => o.dsa_code), ['ALOB', 'ZZOP']);
+  assert.match(fingerprint.load().hrsa.fingerprint.registry_sha256, /^[0-9a-f]{64}$/);
+});
+
+test('an incremental normalize skips when no input or option changed', async (t) => {
+  const paths = useTempPaths(t);
+  assert.ok(await run({ incremental: true }));
+  assert.equal(await run({ incremental: true }), null);
+  assert.ok(await run({ incremental: true, rollupLineage: true }));
+
+  const file = path.join(paths.rawData, 'srtr.json');
+  const srtr = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  srtr.metadata.fetched_at = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify(srtr));
+  assert.ok(await run({ incremental: true, rollupLineage: true }));
+  assert.equal(await run({ incremental: true, rollupLineage: true }), null);
+
+  fs.rmSync(path.join(paths.normalizedData, 'opos.json'));
+  assert.ok(await run({ incremental: true, rollupLineage: true }));
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, useTempPaths } = require('./helpers');
+const { loadReference, resolveCounties, serviceArea, toGeoJSON } = require('../src/utils/geography');
+const { run } = require('../src/utils/normalize');
+
+const square = (x, y) => ({ type: 'Polygon', coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]] });
+
+const reference = {
+  counties: {
+    '01073': { name: 'Jefferson', state: 'AL', area_sq_mi: 1111.28, geometry: square(0, 0) },
+    '01089': { name: 'Madison', state: 'AL', area_sq_mi: 801.59, geometry: square(1, 0) },
+    '11001': { name: 'District of Columbia', state: 'DC', area_sq_mi: 61.13, geometry: square(5, 5) },
+    '24031': { name: 'Montgomery', state: 'MD', area_sq_mi: 491.25, geometry: null },
+    '51059': { name: 'Fairfax', state: 'VA', area_sq_mi: 390.97, geometry: square(4, 4) },
+  },
+  crosswalk: {
+    DCTC: ['11', '24031', '51059'],
+  },
+};
+
+const opos = loadFixture('raw/opodata.json').opos;
+const opo = dsa => opos.find(o => o.dsa_code === dsa);
+
+test('resolveCounties expands state codes and falls back to whole-state regions', () => {
+  assert.deepEqual(resolveCounties(opo('DCTC'), reference), { county_fips: ['11001', '24031', '51059'], source: 'crosswalk' });
+  assert.deepEqual(resolveCounties(opo('ALOB'), reference), { county_fips: ['01073', '01089'], source: 'whole_states' });
+  assert.deepEqual(resolveCounties(opo('AZOB'), reference), { county_fips: [], source: null });
+  assert.deepEqual(resolveCounties({ dsa_code: 'CORS', location: { region: 'CO; WY: Eastern' } }, reference), { county_fips: [], source: null });
+});
+
+test('serviceArea sums area over the counties', () => {
+  const area = serviceArea(opo('DCTC'), reference);
+  assert.equal(area.county_count, 3);
+  assert.equal(area.area_sq_mi, 943.35);
+  assert.deepEqual(area.states, ['DC', 'MD', 'VA']);
+
+  assert.equal(area.population, undefined);
+
+  const partial = { counties: { ...reference.counties, '24031': { state: 'MD', area_sq_mi: null } }, crosswalk: reference.crosswalk };
+  assert.equal(serviceArea(opo('DCTC'), partial).area_sq_mi, null);
+  assert.equal(serviceArea(opo('AZOB'), reference).area_sq_mi, null);
+});
+
+test('toGeoJSON emits one feature per OPO with merged county polygons', () => {
+  const geojson = toGeoJSON(opos, reference);
+  assert.equal(geojson.type, 'FeatureCollection');
+  assert.deepEqual(geojson.features.map(f => f.id), ['ALOB', 'AZOB', 'DCTC']);
+
+  const dctc = geojson.features[2];
+  assert.equal(dctc.geometry.type, 'MultiPolygon');
+  assert.equal(dctc.geometry.coordinates.length, 2);
+  assert.equal(dctc.properties.area_sq_mi, 943.35);
+  assert.equal(dctc.properties.service_area_source, 'crosswalk');
+  assert.equal(geojson.features[1].geometry, null);
+});
+
+test('the bundled county reference resolves whole-state DSAs with area and geometry', () => {
+  const bundled = loadReference();
+  assert.equal(Object.keys(bundled.counties).length, 3221);
+  assert.deepEqual(bundled.counties['01073'].name, 'Jefferson');
+  assert.deepEqual(bundled.crosswalk, {});
+
+  const alob = resolveCounties(opo('ALOB'), bundled);
+  assert.equal(alob.source, 'whole_states');
+  assert.equal(alob.county_fips.length, 67);
+  assert.equal(serviceArea(opo('AZOB'), bundled).area_sq_mi, 113594.08);
+  assert.equal(serviceArea(opo('DCTC'), bundled).source, null);
+
+  const [alabama, arizona, dc] = toGeoJSON(opos, bundled).features;
+  assert.equal(alabama.geometry.type, 'MultiPolygon');
+  assert.equal(alabama.geometry.coordinates.length, 67);
+  assert.equal(alabama.properties.area_sq_mi, 50645.33);
+  assert.equal(arizona.properties.county_count, 15);
+  assert.equal(dc.geometry, null);
+});
+
+test('loadReference treats missing files as empty', () => {
+  assert.deepEqual(loadReference(path.join(__dirname, 'no-such-dir')), { counties: {}, crosswalk: {} });
+});
+
+test('run() adds service areas and writes dsa.geojson', async (t) => {
+  const paths = useTempPaths(t);
+  paths.geography = path.join(path.dirname(paths.rawData), 'geography');
+  fs.mkdirSync(paths.geography);
+  fs.writeFileSync(path.join(paths.geography, 'counties.json'), JSON.stringify({ counties: reference.counties }));
+  fs.writeFileSync(path.join(paths.geography, 'dsa-counties.json'), JSON.stringify({ dsas: reference.crosswalk }));
+
+  const output = await run({ strict: true });
+  const dctc = output.opos.find(o => o.dsa_code === 'DCTC');
+  assert.equal(dctc.service_area.county_count, 3);
+  assert.equal(output.metadata.unresolved_service_areas, 1);
+
+  const geojson = JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'dsa.geojson'), 'utf-8'));
+  assert.equal(geojson.features.length, output.opos.length);
+  assert.equal(geojson.features.find(f => f.id === 'DCTC').properties.tier, dctc.cms_status.tier);
+});
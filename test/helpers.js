@@ -0,0 +1,93 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const http = require('../src/utils/http');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Build a workbook from { sheetName: [[row], [row], ...] } and round-trip it
+// through the XLSX writer so parsers see what a real download would give them.
+function buildWorkbookBuffer(sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+  }
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function buildWorkbook(sheets) {
+  return XLSX.read(buildWorkbookBuffer(sheets), { type: 'buffer' });
+}
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'));
+}
+
+// Point config.paths at a scratch directory seeded with test/fixtures/raw,
+// so scrapers and normalize.run() never touch the real data/ directory.
+function useTempPaths(t, { seedRaw = true } = {}) {
+  const original = { ...config.paths };
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'opo-scraper-test-'));
+  config.paths.rawData = path.join(root, 'raw');
+  config.paths.normalizedData = path.join(root, 'normalized');
+  config.paths.history = path.join(root, 'history');
+  config.paths.fixtures = path.join(root, 'fixtures');
+  config.paths.httpCache = path.join(root, 'cache');
+  config.paths.exports = path.join(root, 'exports');
+  config.paths.einOverrides = path.join(root, 'ein-overrides.json');
+  config.paths.fingerprints = path.join(root, 'fingerprints.json');
+  config.paths.runReport = path.join(root, 'run-report.json');
+  fs.mkdirSync(config.paths.rawData, { recursive: true });
+  if (seedRaw) {
+    for (const file of fs.readdirSync(path.join(FIXTURES, 'raw'))) {
+      fs.copyFileSync(path.join(FIXTURES, 'raw', file), path.join(config.paths.rawData, file));
+    }
+  }
+  t.after(() => {
+    Object.assign(config.paths, original);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  return config.paths;
+}
+
+// Switch the HTTP layer to replay from a scratch fixtures directory and
+// return a function that saves a canned response for a URL.
+function useReplay(t, paths) {
+  http.configure({ mode: 'replay', fixturesDir: paths.fixtures });
+  t.after(() => http.configure({ mode: 'live' }));
+
+  return function addFixture(url, body, status = 200) {
+    const files = http.fixturePaths(url);
+    fs.mkdirSync(path.dirname(files.meta), { recursive: true });
+    fs.writeFileSync(files.body, Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    fs.writeFileSync(files.meta, JSON.stringify({ url, status, headers: {} }));
+  };
+}
+
+// Point config.paths.registry at a scratch crosswalk (inside the directory
+// from useTempPaths) holding the given { DSA: entry } map.
+function useRegistry(t, paths, opos, parents = {}) {
+  const original = config.paths.registry;
+  config.paths.registry = path.join(paths.rawData, '..', 'crosswalk.json');
+  fs.writeFileSync(config.paths.registry, JSON.stringify({ parent_organizations: parents, opos }));
+  t.after(() => { config.paths.registry = original; });
+}
+
+// A registry entry with every required field defaulted
+function registryEntry(name, extra = {}) {
+  return {
+    name,
+    former_names: [],
+    unos_code: null,
+    provider_numbers: [],
+    ein: null,
+    successor: null,
+    effective_from: null,
+    effective_to: null,
+    ...extra,
+  };
+}
+
+module.exports = { buildWorkbook, buildWorkbookBuffer, loadFixture, useTempPaths, useReplay, useRegistry, registryEntry };
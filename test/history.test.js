@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempPaths } = require('./helpers');
+const history = require('../src/utils/history');
+const { run } = require('../src/utils/normalize');
+
+const OLD = '2026-03-02T06-26-58Z';
+const NEW = '2026-03-09T06-27-11Z';
+
+function opo(dsa, { tier = 1, centers = [], ceo = 'Jane Doe', pay = 500000 } = {}) {
+  return {
+    dsa_code: dsa,
+    name: `${dsa} Donor Services`,
+    cms_status: { tier },
+    relationships: { transplant_centers: centers },
+    leadership: { ceo },
+    financials: { ceo_compensation: pay },
+    _provenance: { ignored: true },
+  };
+}
+
+function writeSnapshot(paths, id, opos) {
+  const dir = path.join(paths.history, id, 'normalized');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'opos.json'), JSON.stringify({ opos }));
+}
+
+test('createSnapshot copies the raw and normalized files under a timestamp id', async (t) => {
+  const paths = useTempPaths(t);
+  await run();
+
+  const id = history.createSnapshot(new Date('2026-03-09T06:27:11.512Z'));
+  assert.equal(id, NEW);
+  assert.deepEqual(history.listSnapshots(), [NEW]);
+  assert.ok(fs.existsSync(path.join(paths.history, id, 'raw', 'opodata.json')));
+  assert.deepEqual(history.loadSnapshot(id), JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'opos.json'), 'utf-8')));
+  assert.throws(() => history.loadSnapshot(OLD), /has no normalized\/opos.json/);
+});
+
+test('diffSnapshots reports tiers, centers, leadership, OPOs and every changed field', (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  writeSnapshot(paths, OLD, [opo('ALOB', { centers: ['ALUA', 'ALCH'] }), opo('AZOB'), opo('CAGS')]);
+  writeSnapshot(paths, NEW, [opo('ALOB', { tier: 2, centers: ['ALUA', 'ALBH'], ceo: 'John Roe', pay: 410000 }), opo('AZOB'), opo('CADN')]);
+
+  const report = history.diffSnapshots(OLD, NEW);
+  assert.deepEqual(report.opos_added, [{ dsa_code: 'CADN', name: 'CADN Donor Services' }]);
+  assert.deepEqual(report.opos_removed, [{ dsa_code: 'CAGS', name: 'CAGS Donor Services' }]);
+  assert.deepEqual(report.tier_changes, [{ dsa_code: 'ALOB', name: 'ALOB Donor Services', from: 1, to: 2 }]);
+  assert.deepEqual(report.transplant_center_changes, [{ dsa_code: 'ALOB', added: ['ALBH'], removed: ['ALCH'] }]);
+  assert.deepEqual(report.leadership_changes, [
+    { dsa_code: 'ALOB', field: 'leadership.ceo', from: 'Jane Doe', to: 'John Roe' },
+    { dsa_code: 'ALOB', field: 'financials.ceo_compensation', from: 500000, to: 410000 },
+  ]);
+  assert.deepEqual(report.field_changes.ALOB.map(f => f.path), [
+    'cms_status.tier',
+    'financials.ceo_compensation',
+    'leadership.ceo',
+    'relationships.transplant_centers',
+  ]);
+  assert.equal(report.field_changes.AZOB, undefined);
+  assert.deepEqual(report.summary, {
+    opos_added: 1,
+    opos_removed: 1,
+    tier_changes: 1,
+    transplant_center_changes: 1,
+    leadership_changes: 2,
+    opos_with_field_changes: 1,
+  });
+
+  const markdown = history.renderMarkdown(report);
+  assert.match(markdown, /^# OPO data changes: 2026-03-02T06-26-58Z → 2026-03-09T06-27-11Z/);
+  assert.match(markdown, /\| ALOB \| ALOB Donor Services \| 1 \| 2 \|/);
+  assert.match(markdown, /\| ALOB \| ALBH \| ALCH \|/);
+  assert.match(markdown, /- \*\*\+ CADN\*\* CADN Donor Services/);
+});
+
+test('writeDiff picks snapshots by position and writes JSON and Markdown', (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  assert.throws(() => history.writeDiff(), /Need at least two snapshots/);
+
+  const LATEST = '2026-03-16T06-25-40Z';
+  writeSnapshot(paths, OLD, [opo('ALOB')]);
+  writeSnapshot(paths, NEW, [opo('ALOB', { tier: 2 })]);
+  writeSnapshot(paths, LATEST, [opo('ALOB', { tier: 3 })]);
+
+  assert.deepEqual([history.writeDiff().from, history.writeDiff().to], [NEW, LATEST]);
+  // One id compares it with the snapshot after it, not with the latest
+  const next = history.writeDiff(OLD);
+  assert.equal(next.to, NEW);
+  assert.deepEqual(next.tier_changes.map(c => [c.from, c.to]), [[1, 2]]);
+  assert.throws(() => history.writeDiff(LATEST), /No snapshot after 2026-03-16T06-25-40Z/);
+  assert.throws(() => history.writeDiff(NEW, NEW), /against itself/);
+
+  const base = path.join(paths.history, 'diffs', `${OLD}_${NEW}`);
+  assert.equal(JSON.parse(fs.readFileSync(`${base}.json`, 'utf-8')).summary.tier_changes, 1);
+  assert.match(fs.readFileSync(`${base}.md`, 'utf-8'), /## Tier changes/);
+  assert.ok(!fs.existsSync(path.join(paths.history, 'diffs', `${LATEST}_${LATEST}.json`)));
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkbookBuffer, useTempPaths, useReplay } = require('./helpers');
+const hrsa = require('../src/scrapers/hrsa');
+
+const XLSX_URL = 'https://data.hrsa.gov/DataDownload/DD_Files/ORG_OTC_FCT_DET.xlsx';
+const HEADER = ['OPO Provider #', 'OPO Name', 'Address', 'City', 'State', 'ZIP', 'OPO Telephone #',
+  'OTC Name', 'OTC Code', 'Organ Transplantation Center Service Type Description'];
+
+test('scrape() builds transplant center entities shared across OPOs', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const addFixture = useReplay(t, paths);
+  addFixture(XLSX_URL, buildWorkbookBuffer({
+    Sheet1: [
+      HEADER,
+      ['01P001', 'Alabama Organ Center', '502 20th St S', 'Birmingham', 'AL', '35233', '205-731-9200', 'UAB Hospital', 'ALUA', 'Kidney'],
+      ['01P001', 'Alabama Organ Center', '502 20th St S', 'Birmingham', 'AL', '35233', '205-731-9200', 'UAB Hospital', 'ALUA', 'Pancreas Islet'],
+      ['01P001', 'Alabama Organ Center', '502 20th St S', 'Birmingham', 'AL', '35233', '205-731-9200', 'UAB Hospital', 'ALUA', 'Kidney'],
+      ['03P001', 'Donor Network of Arizona', '201 W Coolidge St', 'Phoenix', 'AZ', '85013', '602-222-2200', 'UAB Hospital', 'ALUA', 'Kidney'],
+      ['03P001', 'Donor Network of Arizona', '201 W Coolidge St', 'Phoenix', 'AZ', '85013', '602-222-2200', '', '', ''],
+      ['07P001', 'LifeChoice Donor Services', '', 'Windsor', 'CT', '', '', 'Hartford Hospital', 'CTHH', 'Vascularized Composite Allograft (VCA)'],
+      ['99P999', 'Unlisted OPO', '', 'Springfield', 'IL', '', '', '', '', ''],
+    ],
+  }));
+
+  const output = await hrsa.scrape();
+
+  assert.deepEqual(output.opos.map(o => o.dsa_code), ['ALOB', 'AZOB', 'CTOP']);
+  const alob = output.opos[0];
+  assert.equal(alob.provider_number, '01P001');
+  assert.equal(alob.city, 'Birmingham');
+  assert.deepEqual(alob.transplant_center_codes, ['ALUA']);
+  assert.deepEqual(output.opos[1].transplant_center_codes, ['ALUA']);
+
+  assert.deepEqual(output.transplant_centers.map(c => c.code), ['ALUA', 'CTHH']);
+  assert.deepEqual(output.transplant_centers[0], {
+    code: 'ALUA',
+    name: 'UAB Hospital',
+    location: { address: null, city: null, state: 'AL', zip: null, source: 'otc_code' },
+    programs: ['kidney', 'islet'],
+    services: ['Kidney', 'Pancreas Islet'],
+    provider_numbers: ['01P001', '03P001'],
+    opos: ['ALOB', 'AZOB'],
+  });
+  assert.deepEqual(output.transplant_centers[1].programs, ['vca']);
+  assert.deepEqual(output.transplant_centers[1].opos, ['CTOP']);
+  assert.equal(output.metadata.total_transplant_centers, 2);
+  assert.equal(output.metadata.shared_transplant_centers, 1);
+  assert.deepEqual(output.metadata.unmapped_provider_numbers, [{ provider_number: '99P999', name: 'Unlisted OPO' }]);
+});
+
+test('scrape() takes a center\'s state from its code, not the OPO\'s address columns', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const addFixture = useReplay(t, paths);
+  addFixture(XLSX_URL, buildWorkbookBuffer({
+    Sheet1: [
+      HEADER,
+      ['01P001', 'Alabama Organ Center', '502 20th St S', 'Birmingham', 'AL', '35233', '205-731-9200', 'Emory University Hospital', 'GAEM', 'Liver'],
+    ],
+  }));
+
+  const output = await hrsa.scrape();
+
+  assert.deepEqual(output.transplant_centers[0].location,
+    { address: null, city: null, state: 'GA', zip: null, source: 'otc_code' });
+});
+
+test('scrape() fails when the download has no recorded response', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  useReplay(t, paths);
+  await assert.rejects(hrsa.scrape(), /No recorded fixture/);
+});
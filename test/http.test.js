@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const httpServer = require('node:http');
+const config = require('../src/config');
+const http = require('../src/utils/http');
+const { useTempPaths } = require('./helpers');
+
+// Local server whose handler can be swapped per test; counts requests per path
+function startServer(t, handler) {
+  const hits = {};
+  const server = httpServer.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    handler(req, res, hits[req.url]);
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ base: `http://127.0.0.1:${server.address().port}`, hits });
+  }));
+}
+
+function useFastRetries(t) {
+  const original = config.http.retryBaseDelay;
+  config.http.retryBaseDelay = 5;
+  t.after(() => { config.http.retryBaseDelay = original; });
+}
+
+function useCache(t) {
+  const paths = useTempPaths(t, { seedRaw: false });
+  http.configure({ mode: 'live', cacheDir: paths.httpCache, cache: true });
+  t.after(() => http.configure({ cache: false }));
+}
+
+test('get() retries 5xx responses with backoff and then succeeds', async (t) => {
+  useFastRetries(t);
+  http.configure({ cache: false });
+  const { base, hits } = await startServer(t, (req, res, n) => {
+    res.statusCode = n < 3 ? 503 : 200;
+    res.end(JSON.stringify({ attempt: n }));
+  });
+
+  const { data } = await http.get(`${base}/flaky`);
+  assert.deepEqual(data, { attempt: 3 });
+  assert.equal(hits['/flaky'], 3);
+});
+
+test('get() does not retry 404s', async (t) => {
+  useFastRetries(t);
+  http.configure({ cache: false });
+  const { base, hits } = await startServer(t, (req, res) => {
+    res.statusCode = 404;
+    res.end('missing');
+  });
+
+  await assert.rejects(http.get(`${base}/missing`), /status code 404/);
+  assert.equal(hits['/missing'], 1);
+});
+
+test('get() gives up after the configured number of retries', async (t) => {
+  useFastRetries(t);
+  http.configure({ cache: false });
+  const { base, hits } = await startServer(t, (req, res) => {
+    res.statusCode = 429;
+    res.end();
+  });
+
+  await assert.rejects(http.get(`${base}/limited`, { retries: 2 }), /status code 429/);
+  assert.equal(hits['/limited'], 3);
+});
+
+test('get() serves fresh cache entries without a request', async (t) => {
+  useCache(t);
+  const { base, hits } = await startServer(t, (req, res) => res.end('{"v":1}'));
+
+  await http.get(`${base}/cached`);
+  const { data } = await http.get(`${base}/cached`);
+  assert.deepEqual(data, { v: 1 });
+  assert.equal(hits['/cached'], 1);
+});
+
+test('get() revalidates stale entries with If-None-Match and reuses the body on 304', async (t) => {
+  useCache(t);
+  const seen = [];
+  const { base, hits } = await startServer(t, (req, res) => {
+    seen.push(req.headers['if-none-match'] || null);
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.statusCode = 304;
+      return res.end();
+    }
+    res.setHeader('ETag', '"v1"');
+    res.end(Buffer.from([1, 2, 3]));
+  });
+
+  await http.get(`${base}/book.xlsx`, { responseType: 'arraybuffer', cacheTtl: 0 });
+  const { data, status } = await http.get(`${base}/book.xlsx`, { responseType: 'arraybuffer', cacheTtl: 0 });
+
+  assert.equal(status, 200);
+  assert.deepEqual([...data], [1, 2, 3]);
+  assert.deepEqual(seen, [null, '"v1"']);
+  assert.equal(hits['/book.xlsx'], 2);
+});
+
+test('get() spaces requests to a rate-limited host', async (t) => {
+  http.configure({ cache: false });
+  const { base } = await startServer(t, (req, res) => res.end('ok'));
+  const host = new URL(base).host;
+  config.http.hosts[host] = { concurrency: 1, minInterval: 50 };
+  t.after(() => { delete config.http.hosts[host]; });
+
+  const start = Date.now();
+  await Promise.all([1, 2, 3].map(n => http.get(`${base}/r${n}`)));
+  assert.ok(Date.now() - start >= 100, 'three requests need at least two 50ms gaps');
+});
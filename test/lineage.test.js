@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const config = require('../src/config');
+const { useTempPaths, useRegistry, registryEntry } = require('./helpers');
+const lineage = require('../src/utils/lineage');
+const logger = require('../src/utils/logger');
+const { run } = require('../src/utils/normalize');
+
+const LINKED = {
+  OLDA: registryEntry('Alpha Donor Services', { successor: { dsa_code: 'NEWA', type: 'code_change', effective: '2020-12-31' } }),
+  MRGB: registryEntry('Beta Organ Bank', { successor: { dsa_code: 'NEWA', type: 'merger', effective: '2021-06-30' } }),
+  NEWA: registryEntry('Alpha Donor Network', { former_names: [{ name: 'Alpha Donor Services', until: '2020-12-31' }] }),
+};
+
+test('the bundled registry links CAGS to Donor Network West', () => {
+  assert.deepEqual(lineage.lineageFor('CADN').predecessors, [{ dsa_code: 'CAGS', name: 'Sierra Donor Services', type: 'merger', effective: '2024' }]);
+  assert.equal(lineage.successorOf('CAGS').dsa_code, 'CADN');
+  assert.equal(lineage.survivorOf('CAGS'), 'CADN');
+  assert.deepEqual(lineage.lineageFor('NCNC').former_names, [{ name: 'Carolina Donor Services', until: '2023' }]);
+  assert.deepEqual(lineage.lineageFor('MAOB').predecessors, [{ dsa_code: 'CTOP', name: 'LifeChoice Donor Services', type: 'merger', effective: null }]);
+  assert.deepEqual(lineage.lineageFor('ZZZZ'), { former_names: [], predecessors: [], successor: null, effective_from: null, effective_to: null });
+});
+
+test('code changes keep the origin code, mergers do not', (t) => {
+  useRegistry(t, useTempPaths(t), LINKED);
+  assert.deepEqual(lineage.codesOf('NEWA'), ['NEWA', 'OLDA']);
+  assert.equal(lineage.originCode('NEWA'), 'OLDA');
+  assert.equal(lineage.originCode('MRGB'), 'MRGB');
+  assert.equal(lineage.survivorOf('OLDA'), 'NEWA');
+  assert.deepEqual(lineage.ancestorsOf('NEWA').map(p => [p.dsa_code, p.type]), [['OLDA', 'code_change'], ['MRGB', 'merger']]);
+});
+
+test('applyLineage rolls predecessor history onto the survivor only when asked', (t) => {
+  useRegistry(t, useTempPaths(t), LINKED);
+  const records = () => [
+    { dsa_code: 'NEWA', cms_status: { tier_history: { 2021: 1, 2022: null } } },
+    { dsa_code: 'OLDA', cms_status: { tier_history: { 2019: 2, 2020: 3, 2021: 1 } } },
+    { dsa_code: 'MRGB', cms_status: { tier_history: { 2020: 3, 2021: 2, 2022: 3 } } },
+  ];
+
+  const plain = records();
+  assert.equal(lineage.applyLineage(plain), 0);
+  assert.equal(plain[0].lineage.predecessors.length, 2);
+  assert.equal(plain[1].lineage.successor.type, 'code_change');
+  assert.equal(plain[0].lineage.rolled_up, undefined);
+  assert.deepEqual(plain[0].cms_status.tier_history, { 2021: 1, 2022: null });
+
+  const rolled = records();
+  assert.equal(lineage.applyLineage(rolled, {}, { rollup: true }), 1);
+  const newa = rolled[0];
+  // OLDA is the same organization: its years up to the code change fill the gaps
+  assert.deepEqual(newa.cms_status.tier_history, { 2019: 2, 2020: 3, 2021: 1, 2022: null });
+  // MRGB merged in mid-2021: its series is kept beside, not merged into, NEWA's
+  assert.deepEqual(newa.lineage.rolled_up['cms_status.tier_history'], {
+    OLDA: { 2019: 2, 2020: 3 },
+    MRGB: { 2020: 3, 2021: 2 },
+  });
+});
+
+test('applyLineage does not roll up across a link without an effective date', (t) => {
+  useRegistry(t, useTempPaths(t), {
+    ...LINKED,
+    OLDA: registryEntry('Alpha Donor Services', { successor: { dsa_code: 'NEWA', type: 'code_change', effective: null } }),
+    OLDC: registryEntry('Gamma Donor Services', { successor: { dsa_code: 'OLDA', type: 'merger', effective: '2018-06-30' } }),
+  });
+  const warnings = [];
+  t.after(logger.subscribe(entry => entry.level === 'warn' && warnings.push(entry.msg)));
+  const records = [
+    { dsa_code: 'NEWA', cms_status: { tier_history: { 2021: 1, 2022: null } } },
+    { dsa_code: 'OLDA', cms_status: { tier_history: { 2019: 2, 2020: 3, 2021: 1 } } },
+    { dsa_code: 'OLDC', cms_status: { tier_history: { 2017: 2, 2018: 2 } } },
+    { dsa_code: 'MRGB', cms_status: { tier_history: { 2020: 3, 2021: 2, 2022: 3 } } },
+  ];
+
+  lineage.applyLineage(records, {}, { rollup: true });
+  const newa = records[0];
+  assert.deepEqual(newa.cms_status.tier_history, { 2021: 1, 2022: null });
+  assert.deepEqual(Object.keys(newa.lineage.rolled_up['cms_status.tier_history']), ['MRGB']);
+  // OLDC's own link is dated, so it still rolls onto OLDA
+  assert.deepEqual(records[1].lineage.rolled_up['cms_status.tier_history'], { OLDC: { 2017: 2, 2018: 2 } });
+  assert.deepEqual(warnings, [
+    'Not rolling OLDA history onto NEWA: its code_change has no effective date in the registry',
+    'Not rolling OLDC history onto NEWA: the link from OLDA has no effective date in the registry',
+  ]);
+});
+
+test('run() adds lineage and honors rollupLineage', async (t) => {
+  const paths = useTempPaths(t);
+  const bundled = JSON.parse(fs.readFileSync(config.paths.registry, 'utf-8'));
+  bundled.opos.ALOB.successor = { dsa_code: 'AZOB', type: 'merger', effective: '2023-12-31' };
+  useRegistry(t, paths, bundled.opos, bundled.parent_organizations);
+
+  const plain = await run({ strict: true });
+  assert.equal(plain.metadata.lineage_rollup, false);
+  assert.equal(plain.opos.find(o => o.dsa_code === 'ALOB').lineage.successor.dsa_code, 'AZOB');
+  assert.equal(plain.opos.find(o => o.dsa_code === 'AZOB').lineage.rolled_up, undefined);
+
+  const rolled = await run({ strict: true, rollupLineage: true });
+  const alob = rolled.opos.find(o => o.dsa_code === 'ALOB');
+  const azob = rolled.opos.find(o => o.dsa_code === 'AZOB');
+  assert.equal(rolled.metadata.lineage_rollup, true);
+  const expected = Object.fromEntries(Object.entries(alob.cms_status.tier_history).filter(([, v]) => v !== null));
+  assert.deepEqual(azob.lineage.rolled_up['cms_status.tier_history'].ALOB, expected);
+});
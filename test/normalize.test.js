@@ -0,0 +1,177 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, useTempPaths } = require('./helpers');
+const {
+  run,
+  mergeFinancials,
+  mergeLocation,
+  mergeMetrics,
+  mergeCmsStatus,
+  mergeTransplantCenters,
+} = require('../src/utils/normalize');
+const { createTracker } = require('../src/utils/provenance');
+
+const opodata = loadFixture('raw/opodata.json');
+const base = dsa => structuredClone(opodata.opos.find(o => o.dsa_code === dsa));
+
+test('mergeLocation prefers HRSA city and falls back to opodata', () => {
+  const opo = base('ALOB');
+  opo.location.city = 'Opodata City';
+
+  assert.equal(mergeLocation(opo, { city: 'Birmingham' }).city, 'Birmingham');
+  assert.equal(mergeLocation(opo, { city: null }).city, 'Opodata City');
+  assert.equal(mergeLocation(opo, undefined), opo.location);
+  assert.equal(mergeLocation(opo, { city: 'Birmingham' }).state, 'AL');
+});
+
+test('mergeFinancials prefers ProPublica and keeps opodata compensation when missing', () => {
+  const opo = base('AZOB');
+  const merged = mergeFinancials(opo, { revenue: 100, expenses: 90, ceo_compensation: null, tax_year: 2022 });
+
+  assert.equal(merged.revenue, 100);
+  assert.equal(merged.ceo_compensation, 613886);
+  assert.equal(merged.assets, null);
+  assert.equal(merged.tax_year, 2022);
+  assert.equal(mergeFinancials(opo, null), opo.financials);
+});
+
+test('mergeMetrics takes SRTR values and keeps opodata-only fields', () => {
+  const opo = base('ALOB');
+  opo.metrics.discard_rates.heart = 5;
+  const merged = mergeMetrics(opo, {
+    organs_transplanted_per_donor: 2.8,
+    total_donors: 602,
+    discard_rates: { kidney: 25.98, liver: null },
+  });
+
+  assert.equal(merged.organs_transplanted_per_donor, 2.8);
+  assert.equal(merged.total_donors_srtr, 602);
+  assert.equal(merged.discard_rates.kidney, 25.98);
+  assert.equal(merged.discard_rates.heart, 5);
+  assert.equal(merged.discard_rates.liver, null);
+  assert.equal(merged.donors_recovered, opo.metrics.donors_recovered);
+});
+
+test('mergeCmsStatus prefers the CMS tier and flags disagreement with opodata', () => {
+  const opo = base('AZOB');
+  const status = mergeCmsStatus(opo, {
+    tier_history: { 2021: 2, 2022: 3, 2023: null },
+    latest_tier: 3,
+    assessment: { donation_rate: 12.5 },
+  });
+
+  assert.equal(status.tier, 3);
+  assert.equal(status.cycle_year, 2022);
+  assert.equal(status.tier_source, 'cms-qcor');
+  assert.equal(status.opodata_tier, 2);
+  assert.equal(status.tier_mismatch, true);
+  assert.equal(status.at_risk, true);
+  assert.equal(status.assessment.donation_rate, 12.5);
+  assert.equal(status.assessment.transplant_rate_category, null);
+});
+
+test('mergeCmsStatus falls back to the opodata tier without CMS data', () => {
+  const status = mergeCmsStatus(base('DCTC'), undefined);
+
+  assert.equal(status.tier, 3);
+  assert.equal(status.cycle_year, 2023);
+  assert.equal(status.tier_source, 'opodata');
+  assert.equal(status.tier_mismatch, false);
+  assert.equal(status.tier_history, null);
+});
+
+test('mergeTransplantCenters references centers by code, preferring HRSA', () => {
+  const opo = base('ALOB');
+  opo.relationships.transplant_centers = [{ name: 'Old', code: 'OLD1' }];
+
+  assert.deepEqual(mergeTransplantCenters(opo, { transplant_center_codes: ['NEW1'] }), ['NEW1']);
+  assert.deepEqual(mergeTransplantCenters(opo, { transplant_centers: [{ name: 'New', code: 'NEW2' }] }), ['NEW2']);
+  assert.deepEqual(mergeTransplantCenters(opo, { transplant_center_codes: [] }), ['OLD1']);
+});
+
+test('merge functions record which source and rule won', () => {
+  const prov = createTracker({ hrsa: { fetched_at: 'T1', period: null }, opodata: { fetched_at: 'T0', period: 2023 } });
+  const opo = base('ALOB');
+  opo.location.city = 'Opodata City';
+  mergeLocation(opo, { city: null, address: '1 Main St' }, prov);
+  const fields = prov.finalize({ location: { city: 'Opodata City', address: '1 Main St', state: 'AL' } });
+
+  assert.deepEqual(fields['location.city'], { source: 'opodata', fetched_at: 'T0', period: 2023, rule: 'fallback' });
+  assert.deepEqual(fields['location.address'], { source: 'hrsa', fetched_at: 'T1', period: null, rule: 'precedence' });
+  assert.equal(fields['location.state'].rule, 'base');
+});
+
+test('run() merges every raw source and writes normalized output', async (t) => {
+  const paths = useTempPaths(t);
+  const output = await run();
+
+  assert.equal(output.metadata.total_opos, 3);
+  assert.equal(output.metadata.sources.propublica.count, 2);
+  assert.equal(output.metadata.sources['cms-qcor'].count, 2);
+  assert.equal(output.metadata.tier_mismatches, 1);
+
+  const byCode = Object.fromEntries(output.opos.map(o => [o.dsa_code, o]));
+  assert.equal(byCode.ALOB.location.city, 'Birmingham');
+  assert.equal(byCode.ALOB.ein, null);
+  assert.equal(byCode.AZOB.cms_status.tier, 3);
+  assert.equal(byCode.AZOB.cms_status.tier_mismatch, true);
+  assert.equal(byCode.AZOB.financials.tax_year, 2023);
+  assert.equal(byCode.AZOB.financials.ceo_compensation, 648000);
+  assert.equal(byCode.AZOB.financials.ceo_match, 'name');
+  assert.equal(byCode.AZOB.financials.officer_compensation_total, 1524716);
+  assert.equal(byCode.DCTC.financials.ceo_compensation, 608009);
+  assert.deepEqual(byCode.AZOB.financials.history.map(h => h.tax_year), [2021, 2022, 2023]);
+  assert.equal(byCode.AZOB.financials.history[1].revenue_growth_pct, 10);
+  assert.equal(byCode.AZOB.financials.trends.last_year, 2023);
+  assert.equal(byCode.DCTC.financials.history, null);
+  assert.equal(byCode.DCTC.cms_status.tier_source, 'opodata');
+  assert.equal(byCode.DCTC.metrics.total_donors_srtr, undefined);
+
+  const written = JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'opos.json'), 'utf-8'));
+  assert.equal(written.opos.length, 3);
+  assert.deepEqual(byCode.ALOB.relationships.transplant_centers, ['ALCH', 'ALUA']);
+  const centers = JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'transplant_centers.json'), 'utf-8'));
+  assert.equal(centers.metadata.total_centers, 6);
+  assert.deepEqual(centers.transplant_centers.find(c => c.code === 'ALUA').opos, ['ALOB']);
+  const provenance = JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'provenance.json'), 'utf-8'));
+  assert.equal(provenance.opos.AZOB['financials.revenue'].period, 2023);
+  assert.equal(provenance.opos.AZOB['financials.ceo_compensation'].source, 'propublica');
+  assert.equal(provenance.opos.DCTC['financials.ceo_compensation'].rule, 'fallback');
+  assert.equal(provenance.opos.ALOB['metrics.discard_rates.kidney'].period, '2505');
+});
+
+test('run() groups DSAs that share an EIN and can allocate their financials', async (t) => {
+  const paths = useTempPaths(t);
+  const rawPath = path.join(paths.rawData, 'propublica.json');
+  const propublica = JSON.parse(fs.readFileSync(rawPath, 'utf-8'));
+  propublica.opos.push({ ...propublica.opos[0], dsa_code: 'ALOB', name: 'Legacy of Hope' });
+  fs.writeFileSync(rawPath, JSON.stringify(propublica));
+
+  const shared = await run();
+  assert.equal(shared.parent_organizations.length, 1);
+  assert.deepEqual(shared.parent_organizations[0].member_dsas, ['ALOB', 'AZOB']);
+  assert.equal(shared.opos.find(o => o.dsa_code === 'ALOB').financials.shared_financials, true);
+
+  const allocated = await run({ allocateFinancials: 'donors' });
+  const members = allocated.opos.filter(o => o.parent_organization);
+  assert.equal(allocated.metadata.financial_allocation, 'donors');
+  assert.equal(members.reduce((sum, o) => sum + o.financials.revenue, 0), propublica.opos[0].revenue);
+});
+
+test('run() fails without opodata.json', async (t) => {
+  useTempPaths(t, { seedRaw: false });
+  await assert.rejects(run(), /No opodata.json found/);
+});
+
+test('run() rejects schema violations in strict mode', async (t) => {
+  const paths = useTempPaths(t);
+  const rawPath = path.join(paths.rawData, 'srtr.json');
+  const srtr = JSON.parse(fs.readFileSync(rawPath, 'utf-8'));
+  srtr.opos[0].discard_rates.kidney = 140;
+  fs.writeFileSync(rawPath, JSON.stringify(srtr));
+
+  await assert.rejects(run({ strict: true }), /schema violation/);
+  assert.equal(fs.existsSync(path.join(paths.normalizedData, 'opos.json')), false);
+});
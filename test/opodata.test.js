@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTier, parseAtRisk, parseStates, transformOpo, generateId } = require('../src/scrapers/opodata');
+
+test('parseTier reads the leading tier digit', () => {
+  assert.equal(parseTier('1'), 1);
+  assert.equal(parseTier('2 - At Risk'), 2);
+  assert.equal(parseTier('3'), 3);
+});
+
+test('parseTier returns null for missing or non-numeric tiers', () => {
+  assert.equal(parseTier(null), null);
+  assert.equal(parseTier(undefined), null);
+  assert.equal(parseTier(''), null);
+  assert.equal(parseTier('N/A'), null);
+  assert.equal(parseTier('Tier 2'), null);
+});
+
+test('parseAtRisk flags tiers 2 and 3', () => {
+  assert.equal(parseAtRisk('1'), false);
+  assert.equal(parseAtRisk('2'), true);
+  assert.equal(parseAtRisk('3'), true);
+  assert.equal(parseAtRisk(null), null);
+});
+
+test('parseStates splits states and keeps sub-state regions', () => {
+  assert.deepEqual(parseStates('CA - Northern; NV - Northern'), {
+    states: ['CA', 'NV'],
+    regions: ['CA: Northern', 'NV: Northern'],
+  });
+  assert.deepEqual(parseStates('CO; WY - Eastern'), {
+    states: ['CO', 'WY'],
+    regions: ['CO', 'WY: Eastern'],
+  });
+});
+
+test('parseStates de-duplicates states but not regions', () => {
+  const { states, regions } = parseStates('TX - North; TX - West');
+  assert.deepEqual(states, ['TX']);
+  assert.deepEqual(regions, ['TX: North', 'TX: West']);
+});
+
+test('parseStates handles empty input', () => {
+  assert.deepEqual(parseStates(''), { states: [], regions: [] });
+  assert.deepEqual(parseStates(null), { states: [], regions: [] });
+});
+
+test('transformOpo maps raw opodata.org nodes', () => {
+  const opo = transformOpo({
+    name: 'Test OPO',
+    abbreviation: 'TXTT',
+    states: 'TX - North; OK',
+    tier: '2',
+    nhw_donors: '100',
+    nhb_donors: '20',
+    h_donors: '',
+    a_donors: null,
+    nhw_recovery: '10.5',
+    compensation: 'N/A',
+    ceo: 'Jane Doe',
+    board: 'No',
+    investigation: 'checked',
+  });
+
+  assert.equal(opo.opo_id, generateId('TXTT'));
+  assert.equal(opo.location.state, 'TX');
+  assert.equal(opo.location.region, 'TX: North; OK');
+  assert.deepEqual(opo.states_served, ['TX', 'OK']);
+  assert.deepEqual(opo.cms_status, { tier: 2, cycle_year: 2023, at_risk: true });
+  assert.equal(opo.metrics.donors_recovered, 120);
+  assert.equal(opo.metrics.recovery_rate.nhw, 10.5);
+  assert.equal(opo.metrics.recovery_rate.nhb, null);
+  assert.equal(opo.financials.ceo_compensation, null);
+  assert.equal(opo.leadership.board_independence_disclosed, false);
+  assert.equal(opo.investigations.house, true);
+  assert.equal(opo.investigations.senate, false);
+});
+
+test('transformOpo leaves donors_recovered null without NHW/NHB counts', () => {
+  const opo = transformOpo({ name: 'X', abbreviation: 'XXXX', h_donors: '5' });
+  assert.equal(opo.metrics.donors_recovered, null);
+});
+
+test('generateId is a stable v4-shaped UUID', () => {
+  const id = generateId('ALOB');
+  assert.equal(id, generateId('ALOB'));
+  assert.notEqual(id, generateId('AROR'));
+  assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+});
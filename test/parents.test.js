@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySharedEins, allocationShares } = require('../src/utils/parents');
+const { createTracker } = require('../src/utils/provenance');
+
+function opo(dsa, ein, donors, deaths) {
+  return {
+    dsa_code: dsa,
+    ein,
+    metrics: { donors_recovered: donors },
+    demographics: { eligible_deaths: { nhw: deaths, nhb: null, hispanic: null, asian: null } },
+    financials: {
+      revenue: 1000,
+      expenses: 800,
+      assets: 500,
+      ceo_compensation: 300,
+      tax_year: 2023,
+      history: [{ tax_year: 2023, revenue: 1000, officer_compensation: 300, expense_ratio: 0.8 }],
+    },
+  };
+}
+
+test('applySharedEins flags members of a shared EIN without changing their figures', () => {
+  const opos = [opo('FLWC', 592193032, 300, 10), opo('GALL', 592193032, 100, 30), opo('AZOB', 860707697, 50, 5)];
+  const parents = applySharedEins(opos);
+
+  assert.equal(parents.length, 1);
+  assert.deepEqual(parents[0].member_dsas, ['FLWC', 'GALL']);
+  assert.equal(parents[0].name, 'LifeLink Foundation');
+  assert.equal(parents[0].revenue, 1000);
+  assert.equal(parents[0].allocation_basis, null);
+  // No executives on the shared return: the members' figures don't stand for the parent
+  assert.equal(parents[0].ceo_compensation, null);
+  assert.equal(opos[0].financials.shared_financials, true);
+  assert.equal(opos[0].financials.revenue, 1000);
+  assert.equal(opos[0].financials.allocation, undefined);
+  assert.equal(opos[1].parent_organization.ein, 592193032);
+  assert.equal(opos[2].parent_organization, null);
+  assert.equal(opos[2].financials.shared_financials, false);
+});
+
+test('applySharedEins splits parent financials by donors so totals reconcile', () => {
+  const opos = [opo('FLWC', 592193032, 300, 10), opo('GALL', 592193032, 100, 30)];
+  const trackers = { FLWC: createTracker(), GALL: createTracker() };
+  applySharedEins(opos, { allocate: 'donors', trackers });
+
+  assert.equal(opos[0].financials.revenue, 750);
+  assert.equal(opos[1].financials.revenue, 250);
+  assert.equal(opos[0].financials.revenue + opos[1].financials.revenue, 1000);
+  assert.equal(opos[1].financials.history[0].officer_compensation, 75);
+  assert.equal(opos[1].financials.ceo_compensation, 300);
+  assert.equal(opos[1].financials.history[0].expense_ratio, 0.8);
+  assert.deepEqual(opos[0].financials.allocation, { basis: 'donors', share: 0.75 });
+
+  const fields = trackers.FLWC.finalize(opos[0]);
+  assert.equal(fields['financials.revenue'].rule, 'derived');
+  assert.equal(fields['parent_organization.ein'].rule, 'derived');
+});
+
+test('the parent\'s CEO compensation is the shared return\'s CEO, whatever the member order', () => {
+  const executives = [
+    { name: 'ANN LEE', title: 'VP OPERATIONS', total: 250000 },
+    { name: 'BOB RAY', title: 'PRESIDENT/CEO', total: 640000 },
+  ];
+  const member = (dsa, ceoPay) => {
+    const o = opo(dsa, 592193032, 100, 10);
+    o.financials = { ...o.financials, ceo_compensation: ceoPay, executives };
+    return o;
+  };
+
+  const [forward] = applySharedEins([member('FLWC', 640000), member('GALL', 250000)]);
+  const [reversed] = applySharedEins([member('GALL', 250000), member('FLWC', 640000)]);
+  assert.equal(forward.ceo_compensation, 640000);
+  assert.equal(reversed.ceo_compensation, 640000);
+});
+
+test('allocationShares uses eligible deaths and falls back to equal shares', () => {
+  const members = [opo('CADN', 943062436, 10, 10), opo('CAGS', 943062436, null, 30)];
+
+  assert.deepEqual(allocationShares(members, 'eligible_deaths'), { basis: 'eligible_deaths', shares: [0.25, 0.75] });
+  assert.deepEqual(allocationShares(members, 'donors'), { basis: 'equal', shares: [0.5, 0.5] });
+  assert.throws(() => applySharedEins(members, { allocate: 'revenue' }), /Unknown allocation basis/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempPaths } = require('./helpers');
+const { choose, ruleFor, periodKey } = require('../src/utils/precedence');
+const { createTracker } = require('../src/utils/provenance');
+const { run } = require('../src/utils/normalize');
+
+const candidates = [
+  { source: 'srtr', value: 10, period: '2401' },
+  { source: 'opodata', value: 12, period: 2024 },
+  { source: 'hrsa', value: null },
+];
+
+test('ruleFor matches exact paths before the longest wildcard', () => {
+  const rules = { 'metrics.*': ['a'], 'metrics.discard_rates.*': ['b'], 'metrics.discard_rates.kidney': ['c'] };
+  assert.deepEqual(ruleFor('metrics.discard_rates.kidney', rules).sources, ['c']);
+  assert.deepEqual(ruleFor('metrics.discard_rates.liver', rules).sources, ['b']);
+  assert.deepEqual(ruleFor('metrics.donation_rate', rules).sources, ['a']);
+  assert.equal(ruleFor('location.city', rules).sources, null);
+  assert.throws(() => ruleFor('x', { x: { strategy: 'loudest' } }), /Unknown precedence strategy for x: loudest/);
+});
+
+test('periodKey orders years, SRTR release codes and ISO dates', () => {
+  assert.equal(periodKey(2023), 202312);
+  assert.equal(periodKey('2505'), 202505);
+  assert.equal(periodKey('2026-02-20T01:32:56.322Z'), 202602);
+  assert.equal(periodKey(null), null);
+});
+
+test('choose supports ordered lists, newest, most complete and custom rules', () => {
+  const ordered = choose('f', candidates, { f: ['opodata', 'srtr'] });
+  assert.equal(ordered.winner.source, 'opodata');
+  assert.equal(ordered.preferred, true);
+  assert.deepEqual(ordered.conflicts.map(c => c.source), ['opodata', 'srtr']);
+
+  assert.equal(choose('f', candidates, { f: ['hrsa', 'srtr'] }).preferred, false);
+  assert.equal(choose('f', candidates, { f: ['hrsa'] }), null);
+  assert.equal(choose('f', candidates, { f: { strategy: 'newest' } }).winner.source, 'opodata');
+
+  const lists = [{ source: 'hrsa', value: ['A'] }, { source: 'opodata', value: ['A', 'B'] }];
+  assert.equal(choose('f', lists, { f: { strategy: 'most_complete' } }).winner.source, 'opodata');
+
+  const union = choose('f', lists, { f: { strategy: 'custom', resolve: cs => ({ source: 'hrsa', value: [...new Set(cs.flatMap(c => c.value))] }) } });
+  assert.deepEqual(union.winner.value, ['A', 'B']);
+  assert.equal(union.derived, true);
+  assert.equal(choose('f', candidates, { f: () => 'srtr' }).winner.value, 10);
+
+  assert.equal(choose('f', [{ source: 'hrsa', value: ['A'] }, { source: 'opodata', value: [] }], {}).conflicts, null);
+});
+
+test('tracker records the rule it applied and collects conflicts', () => {
+  const prov = createTracker({}, { 'location.city': ['opodata', 'hrsa'] });
+  assert.equal(prov.pick('location.city', ['hrsa', 'Birmingham'], ['opodata', 'Opodata City']), 'Opodata City');
+  assert.equal(prov.sourceOf('location.city'), 'opodata');
+  assert.deepEqual(prov.conflicts(), [{ field: 'location.city', chosen: 'opodata', values: { opodata: 'Opodata City', hrsa: 'Birmingham' } }]);
+  assert.equal(prov.finalize({ location: { city: 'x' } })['location.city'].rule, 'precedence');
+});
+
+test('run() applies precedence overrides and reports conflicts', async (t) => {
+  const paths = useTempPaths(t);
+  const file = path.join(paths.rawData, 'opodata.json');
+  const opodata = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  opodata.opos.find(o => o.dsa_code === 'ALOB').location.city = 'Opodata City';
+  fs.writeFileSync(file, JSON.stringify(opodata));
+
+  const byDefault = await run();
+  assert.equal(byDefault.opos.find(o => o.dsa_code === 'ALOB').location.city, 'Birmingham');
+  assert.equal(byDefault.metadata.merge_conflicts['location.city'], 1);
+
+  const flipped = await run({ precedence: { 'location.city': ['opodata', 'hrsa'], 'cms_status.tier': ['opodata', 'cms-qcor'] } });
+  const alob = flipped.opos.find(o => o.dsa_code === 'ALOB');
+  assert.equal(alob.location.city, 'Opodata City');
+  assert.equal(alob.cms_status.tier_source, 'opodata');
+
+  const provenance = JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'provenance.json'), 'utf-8'));
+  assert.equal(provenance.opos.ALOB['location.city'].source, 'opodata');
+  assert.ok(provenance.conflicts.ALOB.some(c => c.field === 'location.city'));
+});
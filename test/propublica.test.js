@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { useTempPaths, useReplay } = require('./helpers');
+const http = require('../src/utils/http');
+const propublica = require('../src/scrapers/propublica');
+const { parseExecutives, findCeo } = require('../src/utils/form990');
+
+const XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'form990.xml'), 'utf-8');
+const ORG_PAGE = 'https://projects.propublica.org/nonprofits/organizations/860707697';
+
+test('parseExecutives prefers Schedule J detail and keeps paid Part VII officers', () => {
+  const { tax_year: taxYear, executives } = parseExecutives(XML);
+
+  assert.equal(taxYear, 2023);
+  assert.deepEqual(executives.map(e => [e.name, e.source]), [['TIMOTHY BROWN', 'schedule_j'], ['JANE ROE', 'part_vii']]);
+  assert.deepEqual(executives[0], {
+    name: 'TIMOTHY BROWN',
+    title: 'PRESIDENT/CEO',
+    base: 540000,
+    bonus: 60000,
+    other_compensation: 48000,
+    total: 648000,
+    source: 'schedule_j',
+  });
+  assert.equal(executives[1].total, 312000);
+});
+
+test('findCeo matches leadership.ceo by name and falls back to a CEO title', () => {
+  const { executives } = parseExecutives(XML);
+
+  assert.deepEqual(findCeo(executives, 'Jane Roe (no compensation data available)'), { executive: executives[1], match: 'name' });
+  assert.equal(findCeo(executives, 'Someone Else').match, 'title');
+  assert.equal(findCeo(executives, 'Someone Else').executive.name, 'TIMOTHY BROWN');
+  assert.deepEqual(findCeo([], 'Jane Roe'), { executive: null, match: null });
+});
+
+test('scrape() follows the newest e-file XML link for executive compensation', async (t) => {
+  const paths = useTempPaths(t);
+  const addFixture = useReplay(t, paths);
+  addFixture('https://projects.propublica.org/nonprofits/api/v2/organizations/860707697.json', {
+    organization: { name: 'DONOR NETWORK OF ARIZONA', city: 'PHOENIX', state: 'AZ' },
+    filings_with_data: [{ tax_prd_yr: 2023, totrevenue: 95637641, totfuncexpns: 84798763, compnsatncurrofcr: 1524716 }],
+  });
+  addFixture(ORG_PAGE, Buffer.from(`<html><body>
+    <a href="/nonprofits/download-xml?object_id=202313189349300501">XML</a>
+    <a href="/nonprofits/download-xml?object_id=202443189349300311">XML</a>
+  </body></html>`));
+  addFixture('https://projects.propublica.org/nonprofits/download-xml?object_id=202443189349300311', Buffer.from(XML));
+
+  const output = await propublica.scrape();
+
+  assert.deepEqual(output.opos.map(o => o.dsa_code), ['AZOB']);
+  const azob = output.opos[0];
+  assert.equal(azob.ein_source, 'static');
+  assert.equal(azob.ein_confidence, 1);
+  assert.equal(azob.officer_compensation, 1524716);
+  assert.equal(azob.executives_tax_year, 2023);
+  assert.equal(azob.executives[0].total, 648000);
+});
+
+test('an unchanged incremental rerun a week later is served from the HTTP cache', async (t) => {
+  const paths = useTempPaths(t);
+  http.configure({ mode: 'live', cacheDir: paths.httpCache, cache: true });
+  t.after(() => http.configure({ cache: false }));
+  const responses = {
+    'https://projects.propublica.org/nonprofits/api/v2/search.json?q=Legacy%20of%20Hope': JSON.stringify({ organizations: [] }),
+    'https://projects.propublica.org/nonprofits/api/v2/organizations/521528461.json': JSON.stringify({ organization: { name: 'WASHINGTON REGIONAL TRANSPLANT COMMUNITY' }, filings_with_data: [] }),
+    'https://projects.propublica.org/nonprofits/api/v2/organizations/860707697.json': JSON.stringify({
+      organization: { name: 'DONOR NETWORK OF ARIZONA', city: 'PHOENIX', state: 'AZ' },
+      filings_with_data: [{ tax_prd_yr: 2023, totrevenue: 95637641 }],
+    }),
+    [ORG_PAGE]: '<a href="/nonprofits/download-xml?object_id=202443189349300311">XML</a>',
+    'https://projects.propublica.org/nonprofits/download-xml?object_id=202443189349300311': XML,
+  };
+  const requested = [];
+  t.mock.method(axios, 'get', async (url) => {
+    requested.push(url);
+    if (!(url in responses)) throw new Error(`unexpected request ${url}`);
+    return { status: 200, headers: {}, data: Buffer.from(responses[url]) };
+  });
+
+  assert.equal((await propublica.scrape({ incremental: true })).opos[0].executives[0].total, 648000);
+  assert.equal(requested.length, 5);
+  // A week later the cached searches and filing lists are still fresh
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 7 * 24 * 60 * 60 * 1000);
+  assert.equal(await propublica.scrape({ incremental: true }), null);
+  assert.equal(requested.length, 5);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempPaths } = require('./helpers');
+const { runChecks, nameSimilarity } = require('../src/utils/quality');
+const { run } = require('../src/utils/normalize');
+
+const opo = (dsa, extra = {}) => ({
+  dsa_code: dsa,
+  name: 'Donor Network of Arizona',
+  states_served: ['AZ'],
+  cms_status: { tier: 1 },
+  metrics: { donors_recovered: 100 },
+  ...extra,
+});
+
+test('nameSimilarity ignores case, punctuation and corporate suffixes', () => {
+  assert.equal(nameSimilarity('Donor Network of Arizona', 'DONOR NETWORK OF ARIZONA, INC.'), 1);
+  assert.ok(nameSimilarity('Gift of Life Michigan', 'Organ Procurement Agency of Michigan') < 0.5);
+  assert.ok(nameSimilarity('Donor Network of Arizona', 'Arizona Donor Network') > 0.5);
+  assert.equal(nameSimilarity('', 'x'), 0);
+});
+
+test('runChecks flags cross-source disagreements with severity and DSA', () => {
+  const { findings, summary } = runChecks([opo('AZOB'), opo('KYDA', { name: 'Kentucky Organ Donor Affiliates', states_served: ['KY'] })], {
+    hrsa: { AZOB: { state: 'NM' }, KYDA: { state: 'KY' } },
+    cms: { AZOB: { latest_tier: 3 } },
+    propublica: {
+      AZOB: { ein: 860707697, org_name: 'Donor Network of Arizona' },
+      KYDA: { ein: 123456789, org_name: 'Las Vegas Aces Booster Club' },
+    },
+    srtr: {
+      AZOB: { discard_rates: { kidney: 120, liver: 10 }, total_donors: 300 },
+      KYDA: { discard_rates: {}, total_donors: 900 },
+    },
+  });
+
+  const byRule = rule => findings.filter(f => f.rule === rule).map(f => [f.dsa_code, f.severity]);
+  assert.deepEqual(byRule('hrsa_state_not_served'), [['AZOB', 'warning']]);
+  assert.deepEqual(byRule('tier_mismatch'), [['AZOB', 'warning']]);
+  assert.deepEqual(byRule('discard_rate_out_of_range'), [['AZOB', 'error']]);
+  assert.deepEqual(byRule('ein_name_mismatch'), [['KYDA', 'error']]);
+  assert.deepEqual(byRule('ein_from_search'), [['KYDA', 'info']]);
+  assert.deepEqual(byRule('donor_count_mismatch'), [['KYDA', 'warning']]);
+
+  assert.equal(findings[0].severity, 'error');
+  assert.deepEqual(findings.find(f => f.rule === 'discard_rate_out_of_range').values, { kidney: 120 });
+  assert.equal(summary.total, 6);
+  assert.equal(summary.error, 2);
+  assert.equal(summary.by_rule.tier_mismatch, 1);
+});
+
+test('runChecks skips rules whose inputs are missing', () => {
+  const { findings } = runChecks([opo('AZOB', { states_served: [], metrics: {} })], {});
+  assert.deepEqual(findings, []);
+});
+
+test('run() writes quality.json next to metadata.json', async (t) => {
+  const paths = useTempPaths(t);
+  const output = await run({ strict: true });
+  const quality = JSON.parse(fs.readFileSync(path.join(paths.normalizedData, 'quality.json'), 'utf-8'));
+
+  assert.equal(quality.generated_at, output.metadata.generated_at);
+  assert.equal(quality.summary.total, quality.findings.length);
+  assert.equal(output.metadata.quality.warning, quality.summary.warning);
+});
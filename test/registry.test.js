@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { useTempPaths, useRegistry, registryEntry: entry } = require('./helpers');
+const registry = require('../src/utils/registry');
+const { run } = require('../src/utils/normalize');
+
+function writeRaw(paths, source, data) {
+  fs.writeFileSync(path.join(paths.rawData, `${source}.json`), JSON.stringify(data));
+}
+
+test('the bundled registry resolves provider numbers, codes, EINs and names', () => {
+  assert.equal(registry.dsaForProvider('01P001'), 'ALOB');
+  assert.equal(registry.dsaForProvider('07P001'), 'CTOP');
+  assert.equal(registry.dsaForProvider('99P999'), null);
+  assert.equal(registry.dsaForCode('CAGS'), 'CAGS');
+  assert.equal(registry.einFor('FLWC'), 592193032);
+  assert.equal(registry.einFor('ALOB'), null);
+  assert.equal(registry.parentName(592193032), 'LifeLink Foundation');
+  assert.deepEqual(registry.namesFor('NCNC'), ['HonorBridge', 'Carolina Donor Services']);
+  assert.deepEqual(registry.identity('CADN'), { unos_code: 'CADN', provider_numbers: ['05P005'] });
+  assert.equal(registry.identity('ZZZZ'), null);
+});
+
+test('a reused provider number resolves to the entry in effect on the date', (t) => {
+  const paths = useTempPaths(t);
+  useRegistry(t, paths, {
+    AAOP: entry('Old OPO', { provider_numbers: ['01P001'], effective_to: '2019-12-31', successor: { dsa_code: 'BBOP', type: 'merger', effective: '2019-12-31' } }),
+    BBOP: entry('New OPO', { provider_numbers: ['01P001'], effective_from: '2020-01-01' }),
+  });
+  assert.equal(registry.dsaForProvider('01P001', '2015-06-01'), 'AAOP');
+  assert.equal(registry.dsaForProvider('01P001', '2024-06-01'), 'BBOP');
+  assert.equal(registry.dsaForProvider('01P001'), 'BBOP');
+});
+
+test('a year or month date covers the whole year or month', (t) => {
+  const paths = useTempPaths(t);
+  useRegistry(t, paths, {
+    AAOP: entry('Old OPO', { provider_numbers: ['01P001'], effective_to: '2019', successor: { dsa_code: 'BBOP', type: 'merger', effective: '2019' } }),
+    BBOP: entry('New OPO', { provider_numbers: ['01P001'], effective_from: '2020-02' }),
+  });
+  assert.equal(registry.dsaForProvider('01P001', '2019-12-31'), 'AAOP');
+  assert.equal(registry.dsaForProvider('01P001', '2020-01-15'), null);
+  assert.equal(registry.dsaForProvider('01P001', '2020-02-01'), 'BBOP');
+});
+
+test('loadRegistry rejects a malformed crosswalk', (t) => {
+  const paths = useTempPaths(t);
+  useRegistry(t, paths, { AAOP: entry('Old OPO', { provider_numbers: ['1P1'] }) });
+  assert.throws(() => registry.loadRegistry(), /schema violation/);
+});
+
+test('validateRaw reports unmapped, doubly mapped and mismatched identifiers', (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  useRegistry(t, paths, {
+    AAOP: entry('Alpha', { unos_code: 'AAOP', provider_numbers: ['01P001'], ein: 111111111 }),
+    BBOP: entry('Beta', { unos_code: 'BBOP', provider_numbers: ['02P001'], ein: 111111111 }),
+    CCOP: entry('Gamma', { unos_code: 'CCOP', provider_numbers: ['02P001'], ein: 222222222 }),
+    DDOP: entry('Delta', { unos_code: 'DDOP', ein: 222222222 }),
+  }, { 222222222: { name: 'Shared Parent' } });
+
+  writeRaw(paths, 'hrsa', {
+    metadata: { unmapped_provider_numbers: [{ provider_number: '07P001', name: 'LifeChoice Donor Services' }] },
+    opos: [{ dsa_code: 'AAOP', name: 'Alpha', provider_number: '02P001' }],
+    transplant_centers: [{ code: 'CTHH', provider_numbers: ['07P001'] }],
+  });
+  writeRaw(paths, 'srtr', { metadata: {}, opos: [{ dsa_code: 'AAOP' }, { dsa_code: 'AAOP' }, { dsa_code: 'ZZOP' }] });
+  writeRaw(paths, 'propublica', { metadata: {}, opos: [{ dsa_code: 'AAOP', ein: 999999999, org_name: 'Unknown Filer' }] });
+
+  const report = registry.validateRaw();
+  const found = report.findings.map(f => [f.kind, f.source, f.type, f.value]);
+  assert.deepEqual(report.sources, ['hrsa', 'srtr', 'propublica']);
+  assert.deepEqual(found.sort(), [
+    ['doubly_mapped', 'registry', 'ein', '111111111'],
+    ['doubly_mapped', 'registry', 'provider_number', '02P001'],
+    ['doubly_mapped', 'srtr', 'code', 'AAOP'],
+    ['mismatch', 'hrsa', 'provider_number', '02P001'],
+    ['unmapped', 'hrsa', 'provider_number', '07P001'],
+    ['unmapped', 'propublica', 'ein', '999999999'],
+    ['unmapped', 'srtr', 'code', 'ZZOP'],
+  ]);
+  assert.equal(report.findings.find(f => f.value === '07P001').name, 'LifeChoice Donor Services');
+  assert.deepEqual(report.summary, { total: 7, unmapped: 3, doubly_mapped: 3, mismatch: 1 });
+});
+
+test('the bundled registry covers the fixture raw files', (t) => {
+  useTempPaths(t);
+  assert.equal(registry.validateRaw().summary.total, 0);
+});
+
+test('run() keys sources through the registry and adds identity', async (t) => {
+  const paths = useTempPaths(t);
+  // An SRTR row under an old code still lands on its DSA
+  const file = path.join(paths.rawData, 'srtr.json');
+  const srtr = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  srtr.opos.find(o => o.dsa_code === 'AZOB').dsa_code = 'AZXX';
+  fs.writeFileSync(file, JSON.stringify(srtr));
+  const bundled = JSON.parse(fs.readFileSync(config.paths.registry, 'utf-8'));
+  bundled.opos.AZOB.unos_code = 'AZXX';
+  useRegistry(t, paths, bundled.opos, bundled.parent_organizations);
+
+  const output = await run({ strict: true });
+  const azob = output.opos.find(o => o.dsa_code === 'AZOB');
+  assert.equal(output.metadata.sources.srtr.count, 2);
+  assert.equal(azob.identity.unos_code, 'AZXX');
+  assert.deepEqual(azob.identity.provider_numbers, ['03P001']);
+});
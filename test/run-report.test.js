@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempPaths, useReplay } = require('./helpers');
+const http = require('../src/utils/http');
+const logger = require('../src/utils/logger');
+const { validate } = require('../src/utils/validate');
+const { createReport, rowsOf } = require('../src/utils/run-report');
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('concurrent steps keep their own downloads and warnings', async (t) => {
+  const paths = useTempPaths(t);
+  const addFixture = useReplay(t, paths);
+  addFixture('https://a.example/data.json', Buffer.alloc(100));
+  addFixture('https://b.example/data.json', Buffer.alloc(250));
+  const report = createReport();
+
+  const step = (host, ms) => async () => {
+    await delay(ms);
+    await http.get(`https://${host}/data.json`);
+    logger.warn('registry', `unmapped code from ${host}`);
+    await delay(ms);
+    await http.get(`https://${host}/data.json`);
+    return { metadata: {}, opos: [1, 2, 3] };
+  };
+  await Promise.all([
+    report.track('alpha', 'scraper', step('a.example', 5)),
+    report.track('beta', 'scraper', step('b.example', 2)),
+  ]);
+
+  assert.equal(report.steps.alpha.bytes_downloaded, 200);
+  assert.equal(report.steps.beta.bytes_downloaded, 500);
+  assert.equal(report.steps.alpha.requests, 2);
+  assert.deepEqual(report.steps.alpha.warnings, [{ source: 'registry', message: 'unmapped code from a.example' }]);
+  assert.deepEqual(report.steps.beta.rows, { opos: 3 });
+  assert.equal(report.steps.beta.status, 'done');
+});
+
+test('a failed required step makes the exit code nonzero', async (t) => {
+  const paths = useTempPaths(t);
+  const report = createReport({ options: { sources: ['opodata', 'hrsa'] }, required: ['opodata', 'normalize'] });
+
+  await assert.rejects(report.track('hrsa', 'scraper', async () => { throw new Error('workbook moved'); }), /workbook moved/);
+  await report.track('normalize', 'normalize', async () => null);
+  assert.equal(report.exitCode(), 0);
+
+  await assert.rejects(report.track('opodata', 'scraper', async () => { throw new Error('site down'); }));
+  report.skip('propublica', 'scraper', 'opodata did not complete');
+  const written = report.write();
+  const onDisk = JSON.parse(fs.readFileSync(paths.runReport, 'utf-8'));
+
+  assert.deepEqual(validate('run-report', onDisk), []);
+  assert.equal(onDisk.exit_code, 1);
+  assert.deepEqual(onDisk.failed_required, ['opodata']);
+  assert.equal(onDisk.steps.hrsa.status, 'failed');
+  assert.equal(onDisk.steps.hrsa.error, 'workbook moved');
+  assert.equal(onDisk.steps.normalize.status, 'unchanged');
+  assert.equal(onDisk.steps.propublica.status, 'skipped');
+  assert.equal(written.exit_code, 1);
+});
+
+test('with strict, any failed or skipped step fails the run', async (t) => {
+  useTempPaths(t);
+  const report = createReport({ required: [], strict: true });
+  report.skip('propublica', 'scraper', 'opodata did not complete');
+  assert.equal(report.exitCode(), 1);
+  assert.deepEqual(report.toJSON().failed_required, ['propublica']);
+});
+
+test('rowsOf counts the arrays in a step output', () => {
+  assert.deepEqual(rowsOf({ metadata: { total: 2 }, opos: [1, 2], transplant_centers: [] }), { opos: 2, transplant_centers: 0 });
+  assert.deepEqual(rowsOf(null), {});
+});
+
+test('json log format writes one object per line with event fields', (t) => {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line));
+  t.mock.method(console, 'error', line => lines.push(line));
+  logger.configure({ format: 'json' });
+  t.after(() => logger.configure({ format: 'text' }));
+
+  logger.info('hrsa', 'Downloaded workbook');
+  logger.error('srtr', 'Parse failed', new Error('no header'));
+  logger.event('run-report', 'step_finished', { step: 'hrsa', duration_ms: 12, rows: { opos: 3 } });
+
+  const entries = lines.map(line => JSON.parse(line));
+  assert.deepEqual(entries.map(e => [e.level, e.source, e.event]), [
+    ['info', 'hrsa', 'log'],
+    ['error', 'srtr', 'log'],
+    ['info', 'run-report', 'step_finished'],
+  ]);
+  assert.equal(entries[0].msg, 'Downloaded workbook');
+  assert.equal(entries[1].error, 'no header');
+  assert.deepEqual(entries[2].rows, { opos: 3 });
+  assert.equal('msg' in entries[2], false);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { plan, runGraph } = require('../src/utils/runner');
+const propublica = require('../src/scrapers/propublica');
+const opodata = require('../src/scrapers/opodata');
+
+const GRAPH = { a: [], b: ['a'], c: ['a'], d: ['b', 'c'], e: [] };
+const dependsOn = name => GRAPH[name];
+const known = Object.keys(GRAPH);
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('scrapers declare their upstream sources', () => {
+  assert.deepEqual(propublica.DEPENDS_ON, ['opodata']);
+  assert.deepEqual(opodata.DEPENDS_ON, []);
+});
+
+test('plan pulls in dependencies and orders them first', () => {
+  const { order, added } = plan(['d'], dependsOn, { known });
+  assert.deepEqual(order, ['a', 'b', 'c', 'd']);
+  assert.deepEqual(added, ['a', 'b', 'c']);
+  assert.deepEqual(plan(['e', 'b'], dependsOn, { known }).order, ['e', 'a', 'b']);
+});
+
+test('plan leaves out skipped sources and treats them as satisfied', () => {
+  const { order, added } = plan(['b', 'e'], dependsOn, { known, skip: ['a', 'e'] });
+  assert.deepEqual(order, ['b']);
+  assert.deepEqual(added, []);
+});
+
+test('plan rejects unknown sources and cycles', () => {
+  assert.throws(() => plan(['z'], dependsOn, { known }), /Unknown source: z/);
+  const cyclic = { x: ['y'], y: ['z'], z: ['x'] };
+  assert.throws(() => plan(['x'], name => cyclic[name]), /Dependency cycle: x -> y -> z -> x/);
+});
+
+test('runGraph runs independent steps concurrently up to the limit', async () => {
+  const events = [];
+  let active = 0;
+  let peak = 0;
+  const results = await runGraph(['a', 'b', 'c', 'd', 'e'], dependsOn, async name => {
+    active++;
+    peak = Math.max(peak, active);
+    events.push(`start ${name}`);
+    await delay(10);
+    events.push(`end ${name}`);
+    active--;
+    return name.toUpperCase();
+  }, { concurrency: 2 });
+
+  assert.equal(peak, 2);
+  assert.ok(events.indexOf('start a') < events.indexOf('start e'));
+  assert.ok(events.indexOf('start e') < events.indexOf('end a'));
+  for (const [dep, step] of [['a', 'b'], ['a', 'c'], ['b', 'd'], ['c', 'd']]) {
+    assert.ok(events.indexOf(`end ${dep}`) < events.indexOf(`start ${step}`), `${dep} before ${step}`);
+  }
+  assert.equal(results.d.status, 'done');
+  assert.equal(results.d.result, 'D');
+});
+
+test('runGraph skips the dependents of a failed step and runs the rest', async () => {
+  const ran = [];
+  const results = await runGraph(['a', 'b', 'c', 'd', 'e'], dependsOn, async name => {
+    ran.push(name);
+    if (name === 'b') throw new Error('upstream down');
+  }, { concurrency: 3 });
+
+  assert.deepEqual(ran.sort(), ['a', 'b', 'c', 'e']);
+  assert.equal(results.b.status, 'failed');
+  assert.match(results.b.error.message, /upstream down/);
+  assert.equal(results.d.status, 'skipped');
+  assert.equal(results.c.status, 'done');
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempPaths } = require('./helpers');
+const normalize = require('../src/utils/normalize');
+const history = require('../src/utils/history');
+const { createServer, selectFields, sortBy } = require('../src/utils/server');
+
+// Normalize the fixtures into a scratch directory and start the API on a random port
+async function startApi(t, options = {}) {
+  const paths = useTempPaths(t);
+  await normalize.run();
+  const api = createServer({ watch: false, ...options });
+  await new Promise(resolve => api.server.listen(0, resolve));
+  t.after(() => api.close());
+
+  const base = `http://localhost:${api.server.address().port}`;
+  const get = (url, headers = {}, method = 'GET') => fetch(base + url, { headers, method });
+  return { api, paths, get };
+}
+
+test('selectFields keeps dotted paths and sortBy puts nulls last', () => {
+  const item = { dsa_code: 'A', cms_status: { tier: 2, at_risk: true }, name: 'x' };
+  assert.deepEqual(selectFields(item, ['dsa_code', 'cms_status.tier', 'missing']), { dsa_code: 'A', cms_status: { tier: 2 } });
+
+  const items = [{ v: 2 }, { v: null }, { v: 5 }];
+  assert.deepEqual(sortBy(items, ['v']).map(i => i.v), [2, 5, null]);
+  assert.deepEqual(sortBy(items, ['-v']).map(i => i.v), [5, 2, null]);
+});
+
+test('GET /opos filters by state and tier, selects fields and sorts', async (t) => {
+  const { get } = await startApi(t);
+
+  const all = await (await get('/opos')).json();
+  assert.equal(all.count, 3);
+
+  const md = await (await get('/opos?state=md&fields=dsa_code,location.state')).json();
+  assert.deepEqual(md.opos, [{ dsa_code: 'DCTC', location: { state: 'DC' } }]);
+
+  const tier1 = await (await get('/opos?tier=1&fields=dsa_code,cms_status.tier')).json();
+  assert.ok(tier1.opos.every(o => o.cms_status.tier === 1));
+
+  const sorted = await (await get('/opos?sort=-dsa_code&fields=dsa_code')).json();
+  assert.deepEqual(sorted.opos.map(o => o.dsa_code), ['DCTC', 'AZOB', 'ALOB']);
+
+  assert.equal((await get('/opos?tier=x')).status, 400);
+});
+
+test('GET /opos/:dsa_code, /history, /transplant-centers, /metadata and /sources', async (t) => {
+  const { get } = await startApi(t);
+  history.createSnapshot(new Date('2026-01-01T00:00:00Z'));
+
+  const azob = await (await get('/opos/azob')).json();
+  assert.equal(azob.dsa_code, 'AZOB');
+  assert.equal((await get('/opos/XXXX')).status, 404);
+
+  const hist = await (await get('/opos/AZOB/history')).json();
+  assert.equal(hist.financial_history.length, azob.financials.history.length);
+  assert.deepEqual(hist.snapshots.map(s => s.snapshot), ['2026-01-01T00-00-00Z']);
+
+  const centers = await (await get('/transplant-centers?fields=code,opos')).json();
+  assert.equal(centers.count, centers.transplant_centers.length);
+  assert.ok(centers.transplant_centers.every(c => Object.keys(c).length <= 2));
+
+  assert.equal((await (await get('/metadata')).json()).total_opos, 3);
+  const sources = await (await get('/sources')).json();
+  assert.ok(sources.sources.opodata);
+  assert.equal(sources.coverage.opodata.count, 3);
+
+  assert.equal((await get('/nope')).status, 404);
+  assert.equal((await get('/metadata', {}, 'POST')).status, 405);
+});
+
+test('ETags return 304 until a reload changes the data', async (t) => {
+  const { api, get, paths } = await startApi(t);
+
+  const first = await get('/metadata');
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+  assert.equal((await get('/metadata', { 'If-None-Match': etag })).status, 304);
+
+  const file = path.join(paths.normalizedData, 'opos.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  data.metadata.generated_at = '2030-01-01T00:00:00.000Z';
+  fs.writeFileSync(file, JSON.stringify(data));
+  api.reload();
+
+  const changed = await get('/metadata', { 'If-None-Match': etag });
+  assert.equal(changed.status, 200);
+  assert.equal((await changed.json()).generated_at, '2030-01-01T00:00:00.000Z');
+});
+
+test('the server reloads when normalization rewrites the output', async (t) => {
+  const { get, paths } = await startApi(t, { watch: true, reloadDelay: 20 });
+  const file = path.join(paths.normalizedData, 'opos.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  data.opos = data.opos.slice(0, 1);
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  let count = null;
+  for (let i = 0; i < 50 && count !== 1; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    count = (await (await get('/opos')).json()).count;
+  }
+  assert.equal(count, 1);
+});
@@ -0,0 +1,192 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { buildWorkbook, buildWorkbookBuffer, useTempPaths, useReplay } = require('./helpers');
+const srtr = require('../src/scrapers/srtr');
+const { parseUtilizationData, calcDiscardRate, extractMetrics, extractCatalog, unmappedTables, enumeratePeriods } = srtr;
+const { CATALOG, loadCatalog } = require('../src/utils/srtr-catalog');
+
+const C1_HEADER = ['OPO code', 'KIs recovered for transplant, not transplanted', 'KIs recovered for transplant, transplanted',
+  'LIs recovered for transplant, not transplanted', 'LIs recovered for transplant, transplanted'];
+
+test('parseUtilizationData collects rows from sheets with an OPO code header', () => {
+  const wb = buildWorkbook({
+    'Table C1': [C1_HEADER, ['ALOB', 26, 74, 'N/A', 90], ['AZOB', 0, 0, 5, 45]],
+    'Table C2': [['OPO Code', 'Number of donors'], ['ALOB', 602]],
+  });
+  const data = parseUtilizationData(wb);
+
+  assert.deepEqual(Object.keys(data).sort(), ['ALOB', 'AZOB']);
+  assert.deepEqual(data.ALOB.sheets['Table C2'], [{ 'Number of donors': 602 }]);
+  assert.equal(data.ALOB.sheets['Table C1'][0]['KIs recovered for transplant, transplanted'], 74);
+  assert.equal(data.AZOB.sheets['Table C2'], undefined);
+});
+
+test('parseUtilizationData finds OPO codes in sheets whose header has no code column', () => {
+  const wb = buildWorkbook({
+    'Figure C5': [['Organization', 'All organs transplanted per donor'], ['ALOB', 2.8], ['AZOB', 3.1]],
+  });
+  const data = parseUtilizationData(wb);
+
+  assert.deepEqual(data.ALOB.sheets['Figure C5'], [{ 'All organs transplanted per donor': 2.8 }]);
+  assert.deepEqual(data.AZOB.sheets['Figure C5'], [{ 'All organs transplanted per donor': 3.1 }]);
+});
+
+test('parseUtilizationData skips rows that are not 4-letter OPO codes and near-empty sheets', () => {
+  const wb = buildWorkbook({
+    Notes: [['Only a title']],
+    'Table C2': [['OPO code', 'Number of donors'], ['US', 15000], ['alob', 1], [null, 2], ['ALOB', 602]],
+  });
+  const data = parseUtilizationData(wb);
+
+  assert.deepEqual(Object.keys(data), ['ALOB']);
+  assert.deepEqual(data.ALOB.sheets['Table C2'], [{ 'Number of donors': 602 }]);
+});
+
+test('calcDiscardRate is not-transplanted over recovered, as a percentage', () => {
+  const sheets = {
+    'Table C1 - Organs': [{
+      'KIs recovered for transplant, not transplanted': 26,
+      'KIs recovered for transplant, transplanted': 74,
+      'HRs recovered for transplant, not transplanted': 1,
+      'HRs recovered for transplant, transplanted': 2,
+      'LUs recovered for transplant, not transplanted': 0,
+      'LUs recovered for transplant, transplanted': 0,
+      'LIs recovered for transplant, not transplanted': 'N/A',
+      'LIs recovered for transplant, transplanted': 90,
+    }],
+  };
+
+  assert.equal(calcDiscardRate(sheets, 'kidney'), 26);
+  assert.equal(calcDiscardRate(sheets, 'heart'), 33.33);
+  assert.equal(calcDiscardRate(sheets, 'lung'), 0);
+  assert.equal(calcDiscardRate(sheets, 'liver'), null);
+  assert.equal(calcDiscardRate(sheets, 'pancreas'), null);
+  assert.equal(calcDiscardRate({}, 'kidney'), null);
+});
+
+test('extractMetrics reads C2 and C5 values and tolerates missing sheets', () => {
+  const metrics = extractMetrics({
+    sheets: {
+      'Table C2': [{
+        'Observed to expected ratio - aggregate': 0.98,
+        'Observed to expected ratio - kidney': '0.92',
+        'Observed to expected ratio - lung': 'N/A',
+        'Number of donors': 602,
+      }],
+    },
+  });
+
+  assert.equal(metrics.observed_expected_ratio, 0.98);
+  assert.equal(metrics.observed_expected_by_organ.kidney, 0.92);
+  assert.equal(metrics.observed_expected_by_organ.lung, null);
+  assert.equal(metrics.total_donors, 602);
+  assert.equal(metrics.organs_transplanted_per_donor, null);
+  assert.deepEqual(metrics.discard_rates, { kidney: null, liver: null, heart: null, lung: null });
+});
+
+test('extractMetrics returns an all-null record for an OPO with no sheets', () => {
+  const metrics = extractMetrics(undefined);
+  assert.equal(metrics.total_donors, null);
+  assert.deepEqual(metrics.observed_expected_by_organ, { heart: null, kidney: null, liver: null, lung: null });
+});
+
+test('extractCatalog maps catalog columns to typed fields and leaves gaps null', () => {
+  const fields = extractCatalog({
+    sheets: {
+      'Table C2 - Yield': [{ ' Number of  donors ': '602.0', 'Observed to expected ratio - aggregate': 'N/A' }],
+      'Figure C5': [{ 'All organs transplanted per donor': 3.12 }],
+    },
+  }, CATALOG);
+
+  assert.equal(fields.utilization.donors, 602);
+  assert.equal(fields.utilization.observed_expected_ratio, null);
+  assert.equal(fields.utilization.kidney_transplanted, null);
+  assert.equal(fields.yield.all, 3.12);
+});
+
+test('the built-in catalog leaves unverified tables to srtr_tables', () => {
+  const tables = new Set(CATALOG.map(e => e.table));
+  assert.deepEqual([...tables].sort(), ['Figure C5', 'Table C1', 'Table C2']);
+  assert.deepEqual(CATALOG.filter(e => e.table === 'Figure C5').map(e => e.field), ['yield.all']);
+  const sheets = { 'Table B1 - Referrals': [{ 'Number of referrals': 4210 }], 'Table C3': [{ 'DCD donors (%)': 31.5 }] };
+  assert.deepEqual(Object.keys(unmappedTables({ sheets }, CATALOG)), ['Table B1 - Referrals', 'Table C3']);
+});
+
+test('unmappedTables keeps only sheets the catalog does not cover', () => {
+  const sheets = {
+    'Table C1': [{ 'KIs recovered for transplant, transplanted': 74 }],
+    'Table C10': [{ 'Something new': 1 }],
+    'Figure D2': [{ Other: 2 }],
+  };
+
+  assert.deepEqual(Object.keys(unmappedTables({ sheets }, CATALOG)), ['Table C10', 'Figure D2']);
+});
+
+test('loadCatalog adds entries from a catalog file and replaces same-field entries', (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const file = path.join(paths.rawData, 'catalog.json');
+  fs.writeFileSync(file, JSON.stringify([
+    { table: 'Table C2', field: 'utilization.donors', columns: ['Total donors'], type: 'count', unit: 'donors' },
+    { table: 'Table D1', field: 'waitlist.additions', columns: ['Waitlist additions'], type: 'count' },
+  ]));
+  const catalog = loadCatalog(file);
+
+  assert.equal(catalog.length, CATALOG.length + 1);
+  assert.deepEqual(catalog.find(e => e.field === 'utilization.donors').columns, ['Total donors']);
+
+  fs.writeFileSync(file, JSON.stringify([{ table: 'Table D1', field: 'x', columns: ['X'], type: 'money' }]));
+  assert.throws(() => loadCatalog(file), /Invalid SRTR catalog entry/);
+});
+
+test('enumeratePeriods lists YYMM codes newest first', () => {
+  const codes = enumeratePeriods(new Date('2026-02-15T00:00:00Z'), 4).map(c => c.id);
+  assert.deepEqual(codes, ['2602', '2601', '2512', '2511']);
+});
+
+test('scrape() picks the newest listed release that downloads and records the rejects', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const addFixture = useReplay(t, paths);
+  const base = 'https://www.srtr.org/assets/media/OSRdownloads/final_tables/OSR_final_tables';
+  addFixture(config.sources.srtr.listingUrl, Buffer.from(`
+    <a href="${base}2501.xlsx">January</a>
+    <a href="/assets/media/OSRdownloads/final_tables/OSR_final_tables2507.xlsx">July</a>
+    <a href="/about">About</a>`));
+  addFixture(`${base}2507.xlsx`, Buffer.from('Not Found'), 404);
+  addFixture(`${base}2501.xlsx`, buildWorkbookBuffer({
+    'Table C2': [['OPO code', 'Number of donors'], ['ALOB', 602]],
+  }));
+
+  const output = await srtr.scrape();
+
+  assert.equal(output.metadata.period_code, '2501');
+  assert.deepEqual(output.metadata.release.candidates, ['2507', '2501']);
+  assert.equal(output.metadata.release.discovery, 'listing');
+  assert.deepEqual(output.metadata.release.rejected.map(r => r.id), ['2507']);
+  assert.equal(output.opos[0].total_donors, 602);
+  assert.equal(output.opos[0].utilization.donors, 602);
+  assert.deepEqual(output.metadata.catalog.mapped_sheets, ['Table C2']);
+  assert.deepEqual(output.metadata.catalog.fields['yield.all'], { table: 'Figure C5', type: 'ratio', unit: 'organs per donor' });
+});
+
+test('scrape() falls back to enumerated periods when every listed release 404s', async (t) => {
+  const paths = useTempPaths(t, { seedRaw: false });
+  const addFixture = useReplay(t, paths);
+  const base = 'https://www.srtr.org/assets/media/OSRdownloads/final_tables/OSR_final_tables';
+  addFixture(config.sources.srtr.listingUrl, Buffer.from(`<a href="${base}2001.xlsx">Moved</a>`));
+  addFixture(`${base}2001.xlsx`, Buffer.from('Not Found'), 404);
+  const [newest, previous] = enumeratePeriods();
+  addFixture(previous.url, buildWorkbookBuffer({
+    'Table C2': [['OPO code', 'Number of donors'], ['ALOB', 602]],
+  }));
+
+  const output = await srtr.scrape();
+
+  assert.equal(output.metadata.period_code, previous.id);
+  assert.equal(output.metadata.release.discovery, 'enumerated');
+  assert.deepEqual(output.metadata.release.rejected.map(r => r.id), ['2001', newest.id]);
+  assert.deepEqual(output.metadata.release.candidates.slice(0, 3), ['2001', newest.id, previous.id]);
+  assert.equal(output.opos[0].total_donors, 602);
+});